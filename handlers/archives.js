@@ -0,0 +1,107 @@
+const fs = require("fs");
+const fsPromises = fs.promises;
+const path = require("path");
+const archiver = require("archiver");
+
+const ARCHIVES_DIR = path.join(__dirname, "../archives");
+const VOLUMES_DIR = path.join(__dirname, "../volumes");
+const MAX_ARCHIVE_SIZE = 1024 * 1024 * 1024 * 5; // 5GB max archive size
+
+/**
+ * Ensures the target path is within the specified base directory, preventing directory traversal attacks.
+ * @param {string} base - The base directory path.
+ * @param {string} target - The target directory or file path.
+ * @returns {string} The absolute path that is confirmed to be within the base directory.
+ * @throws {Error} If the resolved path attempts to escape the base directory.
+ */
+function safePath(base, target) {
+  const resolvedBase = path.resolve(base);
+  const fullPath = path.resolve(resolvedBase, target);
+
+  if (!fullPath.startsWith(resolvedBase + path.sep) && fullPath !== resolvedBase) {
+    throw new Error("Attempting to access outside of the allowed directory");
+  }
+  return fullPath;
+}
+
+/**
+ * Validates archive name to prevent path traversal and invalid characters
+ * @param {string} name - Archive name to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function isValidArchiveName(name) {
+  return /^[a-zA-Z0-9_\-\.]+$/.test(name) && !name.includes("..");
+}
+
+/**
+ * Creates a zip archive of a volume in the archives directory of an instance.
+ * @param {string} id - The instance ID, which names the archives directory.
+ * @param {string} volumeId - The volume to archive.
+ * @returns {Promise<Object>} The `archiveName` and its `size` in bytes.
+ * @throws {Error} With code ENOENT if the volume does not exist, or if the archive exceeds the size limit.
+ */
+async function createArchive(id, volumeId) {
+  const volumePath = safePath(VOLUMES_DIR, volumeId);
+  const archivePath = safePath(ARCHIVES_DIR, id);
+
+  await fsPromises.mkdir(archivePath, { recursive: true });
+
+  // Check if volume exists
+  await fsPromises.access(volumePath, fs.constants.F_OK);
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const archiveName = `${id}-${timestamp}.zip`;
+  const archiveFullPath = path.join(archivePath, archiveName);
+
+  const output = fs.createWriteStream(archiveFullPath);
+  const archive = archiver("zip", {
+    zlib: { level: 9 },
+    statConcurrency: 4, // Number of concurrent stat calls
+  });
+
+  // Set up event handlers
+  let archiveError = null;
+  archive.on("error", (err) => {
+    archiveError = err;
+    output.destroy();
+  });
+
+  output.on("error", (err) => {
+    if (!archiveError) archiveError = err;
+  });
+
+  // Track archive size to prevent excessively large archives
+  let totalBytes = 0;
+  archive.on("data", (data) => {
+    totalBytes += data.length;
+    if (totalBytes > MAX_ARCHIVE_SIZE) {
+      archiveError = new Error("Archive size exceeds maximum limit");
+      archive.abort();
+    }
+  });
+
+  // Finalize the archive
+  archive.pipe(output);
+  archive.directory(volumePath, false);
+  await archive.finalize();
+
+  if (archiveError) {
+    // Clean up the partial archive if there was an error
+    try {
+      await fsPromises.unlink(archiveFullPath);
+    } catch (cleanupErr) {
+      console.error("Failed to clean up partial archive:", cleanupErr);
+    }
+    throw archiveError;
+  }
+
+  return { archiveName, size: totalBytes };
+}
+
+module.exports = {
+  ARCHIVES_DIR,
+  VOLUMES_DIR,
+  safePath,
+  isValidArchiveName,
+  createArchive,
+};
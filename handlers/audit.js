@@ -0,0 +1,250 @@
+const fs = require("fs");
+const fsPromises = fs.promises;
+const path = require("path");
+const readline = require("readline");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+
+const auditConfig = config.audit || {};
+
+// One append-only JSON Lines file per day, so retention deletes whole files
+const AUDIT_DIR = path.join(__dirname, "../audit");
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const RETENTION_DAYS = auditConfig.retentionDays || 90;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+// GET routes that change something anyway
+const MUTATING_GET_ROUTES = [/^\/instances\/[^/]+\/states\/set\//, /^\/fs\/[^/]+\/folders\/delete\//];
+// Routes whose second segment is an action rather than the instance
+const INSTANCE_ACTIONS = ["redeploy", "reinstall", "edit", "reconfigure"];
+const INSTANCE_ROUTERS = ["instances", "logs", "archive", "fs", "schedules"];
+
+let writing = Promise.resolve();
+
+/**
+ * @param {Date} date - The date.
+ * @returns {string} The path of the audit file of that day.
+ */
+function auditFile(date) {
+  return path.join(AUDIT_DIR, `audit-${date.toISOString().slice(0, 10)}.jsonl`);
+}
+
+/**
+ * Describes who made a request, from the credentials of handlers/auth.js.
+ * @param {Object} [auth] - The credentials.
+ * @returns {Object} The `actor` and, for tokens, the `tokenId`.
+ */
+function actorFromAuth(auth) {
+  if (!auth) return { actor: "anonymous" };
+  if (auth.admin) return { actor: "panel" };
+  return { actor: auth.claims.sub ? `token:${auth.claims.sub}` : "token", tokenId: auth.tokenId };
+}
+
+/**
+ * Appends an entry to the audit log. Entries are written in the order they are recorded, and a
+ * failure to write is logged rather than thrown, so auditing never breaks the audited operation.
+ * @param {Object} entry
+ * @param {string} entry.actor - Who acted: "panel", "token:<sub>", "ftp:<user>", ...
+ * @param {string} [entry.tokenId] - The ID of the token used, if any.
+ * @param {string} [entry.ip] - The source address.
+ * @param {string} [entry.instance] - The instance acted on.
+ * @param {string} entry.action - What was done, e.g. "DELETE /instances/abc" or "power:stop".
+ * @param {string} entry.outcome - "success" or "failure".
+ * @param {Object} [entry.details] - Anything else worth keeping, e.g. the status code.
+ * @returns {Promise<void>} Resolves once the entry is written.
+ */
+function recordAudit({ actor, tokenId, ip, instance, action, outcome, details }) {
+  if (auditConfig.enabled === false) return Promise.resolve();
+
+  const now = new Date();
+  const entry = {
+    timestamp: now.toISOString(),
+    actor,
+    ...(tokenId && { tokenId }),
+    ip: ip || null,
+    instance: instance || null,
+    action,
+    outcome,
+    ...(details && { details }),
+  };
+
+  writing = writing.then(async () => {
+    try {
+      await fsPromises.mkdir(AUDIT_DIR, { recursive: true });
+      await fsPromises.appendFile(auditFile(now), JSON.stringify(entry) + "\n");
+    } catch (err) {
+      log.error("Failed to write audit entry:", err.message);
+    }
+  });
+  return writing;
+}
+
+/**
+ * Finds the instance a REST request acts on from its path.
+ * @param {string} urlPath - The request path, e.g. "/instances/redeploy/abc".
+ * @param {Object} [body] - The request body, for instances that are being created.
+ * @returns {string|null} The instance ID.
+ */
+function instanceFromPath(urlPath, body) {
+  const [router, first, second] = urlPath.split("/").filter(Boolean);
+  if (!INSTANCE_ROUTERS.includes(router) || !first) return null;
+  if (router === "instances") {
+    if (INSTANCE_ACTIONS.includes(first)) return second || null;
+    if (first === "create") return (body && body.Id) || null;
+    if (first === "purge" || first === "power") return null;
+  }
+  return first;
+}
+
+/**
+ * Express middleware that audits every mutating request once its response is sent. Mount it
+ * after authentication so the actor is known.
+ */
+function auditRequests(req, res, next) {
+  const urlPath = req.path;
+  const mutating = MUTATING_METHODS.includes(req.method) || MUTATING_GET_ROUTES.some((route) => route.test(urlPath));
+  if (!mutating) return next();
+
+  res.on("finish", () => {
+    recordAudit({
+      ...actorFromAuth(req.auth),
+      ip: req.ip,
+      instance: instanceFromPath(urlPath, req.body),
+      action: `${req.method} ${urlPath}`,
+      outcome: res.statusCode < 400 ? "success" : "failure",
+      details: { statusCode: res.statusCode },
+    });
+  });
+  next();
+}
+
+/**
+ * Lists the audit files, newest first.
+ * @returns {Promise<Object[]>} The `name` and `day` of each file.
+ */
+async function auditFiles() {
+  let names;
+  try {
+    names = await fsPromises.readdir(AUDIT_DIR);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return names
+    .map((name) => ({ name, match: FILE_PATTERN.exec(name) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => ({ name, day: match[1] }))
+    .sort((a, b) => b.day.localeCompare(a.day));
+}
+
+/**
+ * Reads the entries of an audit file.
+ * @param {string} name - The file name.
+ * @returns {Promise<Object[]>} The entries, oldest first.
+ */
+async function readAuditFile(name) {
+  const entries = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(path.join(AUDIT_DIR, name), { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      // A line cut short by a crash
+    }
+  }
+  return entries;
+}
+
+/**
+ * @param {string} value - A date or a timestamp in milliseconds.
+ * @param {string} name - The parameter name, for the error message.
+ * @returns {number|undefined} The time in milliseconds.
+ */
+function parseTime(value, name) {
+  if (value === undefined || value === "") return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    const err = new Error(`${name} must be a date or a timestamp`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return time;
+}
+
+/**
+ * Queries the audit log, newest entries first.
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - Only entries at or after this time.
+ * @param {string} [filters.to] - Only entries at or before this time.
+ * @param {string} [filters.instance] - Only entries about this instance.
+ * @param {string} [filters.actor] - Only entries by this actor.
+ * @param {string} [filters.action] - Only entries whose action contains this text.
+ * @param {string} [filters.outcome] - "success" or "failure".
+ * @param {number} [filters.limit] - The maximum number of entries (default 100, max 1000).
+ * @returns {Promise<Object>} The `entries` and whether older matching entries were left out (`hasMore`).
+ */
+async function queryAudit({ from, to, instance, actor, action, outcome, limit } = {}) {
+  const start = parseTime(from, "from");
+  const end = parseTime(to, "to");
+  const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const startDay = start !== undefined ? new Date(start).toISOString().slice(0, 10) : null;
+  const endDay = end !== undefined ? new Date(end).toISOString().slice(0, 10) : null;
+
+  const matches = (entry) => {
+    const time = Date.parse(entry.timestamp);
+    return (start === undefined || time >= start)
+      && (end === undefined || time <= end)
+      && (!instance || entry.instance === instance)
+      && (!actor || entry.actor === actor)
+      && (!action || String(entry.action).includes(action))
+      && (!outcome || entry.outcome === outcome);
+  };
+
+  const entries = [];
+  for (const { name, day } of await auditFiles()) {
+    if (endDay && day > endDay) continue;
+    if (startDay && day < startDay) break;
+
+    const dayEntries = (await readAuditFile(name)).filter(matches).reverse();
+    for (const entry of dayEntries) {
+      if (entries.length === max) return { entries, hasMore: true };
+      entries.push(entry);
+    }
+  }
+  return { entries, hasMore: false };
+}
+
+/**
+ * Deletes the audit files older than `audit.retentionDays`.
+ */
+async function pruneAudit() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const { name, day } of await auditFiles()) {
+    if (day < cutoff) {
+      await fsPromises.unlink(path.join(AUDIT_DIR, name));
+      log.info(`Deleted audit file ${name}`);
+    }
+  }
+}
+
+/**
+ * Applies the audit retention now and every hour.
+ */
+function startAuditRetention() {
+  if (auditConfig.enabled === false) return;
+
+  const prune = () => pruneAudit().catch((err) => log.error("Failed to prune the audit log:", err.message));
+  prune();
+  setInterval(prune, PRUNE_INTERVAL);
+}
+
+module.exports = { actorFromAuth, recordAudit, auditRequests, queryAudit, pruneAudit, startAuditRetention };
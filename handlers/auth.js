@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { getLockout, recordFailure, retryAfter } = require("./ratelimit.js");
+const { getConfigSecret } = require("./secrets.js");
+const log = new CatLoggr();
+
+const authConfig = config.auth || {};
+
+// The basic auth user the panel administers the node with, using the node key as password
+const ADMIN_USER = "Skyport";
+
+// console: console output and commands, power: power actions, files: the file manager and FTP,
+// backups: archives, shell: an interactive shell in the container, which is root access to it
+const PERMISSIONS = ["console", "power", "files", "backups", "shell"];
+
+// Longest lifetime a token may have, and how far the panel clock may be ahead of ours
+const MAX_TTL = authConfig.maxTokenTtl || 3600;
+const CLOCK_SKEW = authConfig.clockSkew !== undefined ? authConfig.clockSkew : 30;
+
+/**
+ * @param {number} statusCode - 400, 401 or 403.
+ * @param {string} message - The error message.
+ * @returns {Error} An error with the status code.
+ */
+function authError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} True if they are equal.
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * @param {string} payload - The encoded token payload.
+ * @returns {string} The base64url HMAC-SHA256 of the payload, keyed with the node key.
+ */
+function sign(payload) {
+  return crypto.createHmac("sha256", getConfigSecret("key")).update(payload).digest("base64url");
+}
+
+/**
+ * @param {string} token - A token.
+ * @returns {string} A short ID of the token, to tell tokens apart in logs without storing them.
+ */
+function tokenId(token) {
+  return crypto.createHash("sha256").update(token).digest("hex").slice(0, 16);
+}
+
+/**
+ * Checks whether a secret is the node key.
+ * @param {string} secret - The secret.
+ * @returns {boolean} True for the node key.
+ */
+function isMasterKey(secret) {
+  return typeof secret === "string" && safeEqual(secret, getConfigSecret("key"));
+}
+
+/**
+ * Creates an access token. Panels may sign tokens themselves the same way: the token is
+ * `<payload>.<signature>`, where `payload` is the base64url JSON of the claims and `signature` the
+ * base64url HMAC-SHA256 of `payload` keyed with the node key.
+ * @param {Object} claims
+ * @param {string[]} claims.instances - The instance IDs the token is valid for.
+ * @param {string[]} claims.permissions - Any of PERMISSIONS.
+ * @param {number} [claims.ttl] - Lifetime in seconds (default and maximum `auth.maxTokenTtl`).
+ * @param {string} [claims.sub] - Who the token was issued to, for the logs.
+ * @returns {{token: string, expiresAt: string}} The token and when it expires.
+ * @throws {Error} With statusCode 400 if a claim is invalid.
+ */
+function issueToken({ instances, permissions, ttl = MAX_TTL, sub } = {}) {
+  if (!Array.isArray(instances) || !instances.length || !instances.every((id) => typeof id === "string" && id)) {
+    throw authError(400, "instances must be a non-empty array of instance IDs");
+  }
+  if (!Array.isArray(permissions) || !permissions.length || !permissions.every((p) => PERMISSIONS.includes(p))) {
+    throw authError(400, `permissions must be a non-empty array of ${PERMISSIONS.join(", ")}`);
+  }
+  const lifetime = Number(ttl);
+  if (!Number.isInteger(lifetime) || lifetime < 1 || lifetime > MAX_TTL) {
+    throw authError(400, `ttl must be between 1 and ${MAX_TTL} seconds`);
+  }
+
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = { instances, permissions, iat, exp: iat + lifetime, ...(sub !== undefined && { sub: String(sub) }) };
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(claims.exp * 1000).toISOString() };
+}
+
+/**
+ * Verifies an access token.
+ * @param {string} token - The token.
+ * @returns {Object} The claims: `instances`, `permissions`, `iat`, `exp` and optionally `sub`.
+ * @throws {Error} With statusCode 401 if the token is malformed, forged or expired.
+ */
+function verifyToken(token) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined || !safeEqual(signature, sign(payload))) {
+    throw authError(401, "Invalid token");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (err) {
+    throw authError(401, "Invalid token");
+  }
+  if (!claims || !Array.isArray(claims.instances) || !Array.isArray(claims.permissions)) {
+    throw authError(401, "Invalid token");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(claims.exp) || claims.exp <= now) {
+    throw authError(401, "Token expired");
+  }
+  if (claims.exp - now > MAX_TTL + CLOCK_SKEW) {
+    throw authError(401, `Token lifetime exceeds ${MAX_TTL} seconds`);
+  }
+  return claims;
+}
+
+/**
+ * Resolves the credentials of a request or WebSocket: the node key, which grants
+ * administration, or a token.
+ * @param {string} secret - The node key or a token.
+ * @returns {Object} `{ admin: true }` or `{ admin: false, claims, tokenId }`.
+ * @throws {Error} With statusCode 401 if the credentials are invalid.
+ */
+function authenticateSecret(secret) {
+  if (isMasterKey(secret)) return { admin: true };
+  return { admin: false, claims: verifyToken(secret), tokenId: tokenId(secret) };
+}
+
+/**
+ * Checks whether credentials grant a permission on an instance.
+ * @param {Object} auth - The result of authenticateSecret.
+ * @param {string} id - The instance ID.
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {boolean} True if allowed.
+ */
+function hasScope(auth, id, permission) {
+  if (!auth) return false;
+  if (auth.admin) return true;
+  return Boolean(id) && auth.claims.instances.includes(id) && auth.claims.permissions.includes(permission);
+}
+
+/**
+ * Express middleware that authenticates requests, with basic auth using the node key or with a
+ * `Bearer` token. Sets `req.auth` to the result of authenticateSecret. Failed logins count
+ * towards a lockout of the address; see handlers/ratelimit.js. They are not counted against the
+ * admin user, as anyone could then lock the panel out by guessing.
+ */
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, value] = header.split(" ");
+  const attempt = { service: "http", ip: req.ip };
+  let username;
+  let password;
+  if (/^basic$/i.test(scheme) && value) {
+    const decoded = Buffer.from(value, "base64").toString("utf8");
+    const separator = decoded.indexOf(":");
+    username = separator === -1 ? decoded : decoded.slice(0, separator);
+    password = separator === -1 ? "" : decoded.slice(separator + 1);
+  }
+
+  const lockout = getLockout(attempt);
+  if (lockout) {
+    res.set("Retry-After", String(retryAfter(lockout)));
+    return res.status(429).json({ error: "Too many failed logins", details: `Try again in ${retryAfter(lockout)} seconds` });
+  }
+
+  try {
+    if (/^bearer$/i.test(scheme) && value) {
+      req.auth = { admin: false, claims: verifyToken(value), tokenId: tokenId(value) };
+      return next();
+    }
+    if (username !== undefined && safeEqual(username, ADMIN_USER) && isMasterKey(password)) {
+      req.auth = { admin: true };
+      return next();
+    }
+    throw authError(401, "Unauthorized");
+  } catch (err) {
+    // A request without credentials is the first step of the basic auth challenge, not a guess
+    if (header) recordFailure(attempt);
+    log.warn(`Authentication failed for ${req.method} ${req.originalUrl} from ${req.ip}: ${err.message}`);
+    res.set("WWW-Authenticate", 'Basic realm="Application"');
+    res.status(401).json({ error: "Unauthorized", details: err.message });
+  }
+}
+
+/**
+ * Express middleware that only lets the panel through, i.e. requests made with the node key.
+ */
+function requireAdmin(req, res, next) {
+  if (req.auth && req.auth.admin) return next();
+  res.status(403).json({ error: "Forbidden", details: "This route requires the node key" });
+}
+
+/**
+ * Creates an Express middleware that requires a permission on the instance in the `id` route
+ * parameter. It can be used as a route middleware or with `router.param("id", ...)`.
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {Function} The middleware.
+ */
+function requireScope(permission) {
+  return (req, res, next) => {
+    if (hasScope(req.auth, req.params.id, permission)) return next();
+    res.status(403).json({
+      error: "Forbidden",
+      details: `The token does not grant ${permission} access to this instance`,
+    });
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  isMasterKey,
+  issueToken,
+  verifyToken,
+  authenticateSecret,
+  hasScope,
+  authenticate,
+  requireAdmin,
+  requireScope,
+};
@@ -4,6 +4,7 @@ const https = require('https');
 const http = require('http');
 const crypto = require('crypto');
 const { program } = require('commander');
+const { decryptSecret, protectSecret, configSecretPaths, REDACTED } = require('./secrets');
 
 // Parse command-line arguments
 program
@@ -28,6 +29,16 @@ function updateConfig(configPath, newConfig) {
   fs.writeFileSync(configPath, JSON.stringify(newConfig, null, 2));
 }
 
+// Function to hide the secrets of a config before printing it
+function redactConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  for (const parts of configSecretPaths(copy)) {
+    const parent = parts.slice(0, -1).reduce((object, part) => (object ? object[part] : undefined), copy);
+    if (parent && parent[parts[parts.length - 1]]) parent[parts[parts.length - 1]] = REDACTED;
+  }
+  return copy;
+}
+
 // Function to make HTTP/HTTPS request
 function makeHttpRequest(url, method, data) {
     return new Promise((resolve, reject) => {
@@ -69,7 +80,7 @@ function makeHttpRequest(url, method, data) {
   
     // Prepare the configuration request
     const configureUrl = new URL('/nodes/configure', options.panel);
-    configureUrl.searchParams.append('authKey', config.key); // Use existing key as authKey
+    configureUrl.searchParams.append('authKey', decryptSecret(config.key)); // Use existing key as authKey
     configureUrl.searchParams.append('configureKey', options.key);
     configureUrl.searchParams.append('accessKey', newAccessKey);
   
@@ -79,14 +90,14 @@ function makeHttpRequest(url, method, data) {
   
       // Update local config
       config.remote = options.panel;
-      config.key = newAccessKey;
+      config.key = protectSecret(newAccessKey);
   
       // Save updated config
       updateConfig(configPath, config);
   
       console.log('Node configured successfully!');
       console.log('New configuration:');
-      console.log(JSON.stringify(config, null, 2));
+      console.log(JSON.stringify(redactConfig(config), null, 2));
     } catch (error) {
       console.error('Error configuring node:', error);
       process.exit(1);
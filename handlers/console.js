@@ -0,0 +1,23 @@
+const Docker = require("dockerode");
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+/**
+ * Writes a command to the console of an instance through its attach stream, the same way the
+ * WebSocket console sends commands. The stream is closed once the command is written.
+ * @param {string} id - The container ID or name.
+ * @param {string} command - The command, without the trailing newline.
+ */
+async function sendCommand(id, command) {
+  const container = docker.getContainer(id);
+  const info = await container.inspect();
+  if (!info.State.Running) {
+    throw new Error(`${info.Name.replace(/^\//, "")} is not running`);
+  }
+
+  const stream = await container.attach({ stream: true, stdin: true, stdout: false, stderr: false, hijack: true });
+  await new Promise((resolve) => stream.write(command + "\n", resolve));
+  stream.end();
+}
+
+module.exports = { sendCommand };
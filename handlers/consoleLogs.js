@@ -0,0 +1,394 @@
+const Docker = require("dockerode");
+const fs = require("fs");
+const fsPromises = fs.promises;
+const path = require("path");
+const readline = require("readline");
+const { PassThrough } = require("stream");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { getState } = require("./state.js");
+const { onContainerEvent } = require("./dockerEvents.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+// Console logs live next to the volumes, so they outlive the containers that wrote them
+const LOGS_DIR = path.join(__dirname, "../logs");
+const LOG_FILE = "console.log";
+
+const logConfig = config.logs || {};
+const MAX_SIZE = (logConfig.maxSize || 10) * 1024 * 1024;
+const MAX_FILES = logConfig.maxFiles || 5;
+
+const MAX_LIMIT = 5000;
+const TAIL_BYTES = 64 * 1024;
+
+const captures = new Map();
+
+/**
+ * @param {string} id - The instance ID.
+ * @returns {string} The log directory of the instance.
+ * @throws {Error} With statusCode 400 if the ID could escape the logs directory.
+ */
+function logDir(id) {
+  if (!/^[a-zA-Z0-9_.-]+$/.test(id) || id.includes("..")) {
+    const err = new Error("Invalid instance ID");
+    err.statusCode = 400;
+    throw err;
+  }
+  return path.join(LOGS_DIR, id);
+}
+
+/**
+ * Lists the log files of an instance, oldest first. Rotated files are `console.log.1` (newest)
+ * to `console.log.<maxFiles>` (oldest).
+ * @param {string} id - The instance ID.
+ * @returns {Promise<string[]>} The file names.
+ */
+async function logFiles(id) {
+  let names;
+  try {
+    names = await fsPromises.readdir(logDir(id));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const index = (name) => (name === LOG_FILE ? 0 : Number(name.slice(LOG_FILE.length + 1)));
+  return names
+    .filter((name) => name === LOG_FILE || /^console\.log\.\d+$/.test(name))
+    .sort((a, b) => index(b) - index(a));
+}
+
+/**
+ * Splits a stored line into its timestamp and text.
+ * @param {string} line - The line as stored, `<RFC 3339 timestamp> <text>`.
+ * @returns {Object} The `time` and `line`.
+ */
+function parseLine(line) {
+  const space = line.indexOf(" ");
+  return space === -1 ? { time: line, line: "" } : { time: line.slice(0, space), line: line.slice(space + 1) };
+}
+
+/**
+ * Compares two Docker timestamps. They have nanosecond precision, which Date cannot represent.
+ * @param {string} a - An RFC 3339 timestamp.
+ * @param {string} b - An RFC 3339 timestamp.
+ * @returns {number} Negative if a is earlier, positive if later, 0 if equal.
+ */
+function compareTime(a, b) {
+  const ms = Date.parse(a) - Date.parse(b);
+  if (ms !== 0 || Number.isNaN(ms)) return ms || 0;
+  const fraction = (time) => (time.match(/\.(\d+)/) || [, ""])[1].padEnd(9, "0");
+  return fraction(a).localeCompare(fraction(b));
+}
+
+/**
+ * Reads the timestamp of the last stored line, so captures resumed after a restart skip the
+ * lines that are already stored.
+ * @param {string} file - The log file.
+ * @returns {Promise<string|null>} The timestamp, or null if the file is empty or missing.
+ */
+async function lastTimestamp(file) {
+  let handle;
+  try {
+    handle = await fsPromises.open(file, "r");
+    const { size } = await handle.stat();
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, size - length);
+    const lines = buffer.toString().split("\n").filter(Boolean);
+    return lines.length ? parseLine(lines[lines.length - 1]).time : null;
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+/**
+ * Rotates the log files of an instance: console.log becomes console.log.1 and so on, and the
+ * oldest file is removed.
+ * @param {string} dir - The log directory.
+ */
+async function rotate(dir) {
+  const file = path.join(dir, LOG_FILE);
+  await fsPromises.rm(`${file}.${MAX_FILES}`, { force: true });
+  for (let i = MAX_FILES - 1; i >= 1; i--) {
+    await fsPromises.rename(`${file}.${i}`, `${file}.${i + 1}`).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+  await fsPromises.rename(file, `${file}.1`).catch((err) => {
+    if (err.code !== "ENOENT") throw err;
+  });
+}
+
+/**
+ * Creates the writer that appends lines to the log of an instance, rotating it once it
+ * reaches the maximum size.
+ * @param {string} id - The instance ID.
+ * @returns {Promise<Object>} The writer, with `write(time, line)` and `close()`.
+ */
+async function createWriter(id) {
+  const dir = logDir(id);
+  const file = path.join(dir, LOG_FILE);
+  await fsPromises.mkdir(dir, { recursive: true });
+
+  // A full disk or a permission problem loses lines rather than the daemon
+  const open = () => fs.createWriteStream(file, { flags: "a" }).on("error", (err) => {
+    log.error(`Failed to write the log of ${id}:`, err.message);
+  });
+
+  let size = await fsPromises.stat(file).then((stats) => stats.size, () => 0);
+  let stream = open();
+  let rotation = null;
+  const pending = [];
+
+  // Lines written while the files are renamed are held back until the new file is open
+  const rotateNow = async () => {
+    try {
+      await new Promise((resolve) => stream.end(resolve));
+      await rotate(dir);
+    } catch (err) {
+      log.error(`Failed to rotate the log of ${id}:`, err.message);
+    }
+    stream = open();
+    size = 0;
+    rotation = null;
+    for (const entry of pending.splice(0)) write(entry);
+  };
+
+  const write = (entry) => {
+    if (rotation) {
+      pending.push(entry);
+      return;
+    }
+    stream.write(entry);
+    size += Buffer.byteLength(entry);
+    if (size >= MAX_SIZE) rotation = rotateNow();
+  };
+
+  return {
+    write(time, line) {
+      write(`${time} ${line}\n`);
+    },
+    async close() {
+      while (rotation) await rotation;
+      await new Promise((resolve) => stream.end(resolve));
+    },
+  };
+}
+
+/**
+ * Starts writing the console output of an instance to its log files. Output is captured until
+ * the container stops; the next start captures again from where the log left off.
+ * @param {string} id - The instance ID.
+ */
+async function captureConsole(id) {
+  if (captures.has(id)) return;
+  captures.set(id, null);
+
+  try {
+    const container = docker.getContainer(id);
+    const info = await container.inspect();
+    if (!info.State.Running) {
+      captures.delete(id);
+      return;
+    }
+
+    const cursor = await lastTimestamp(path.join(logDir(id), LOG_FILE));
+    const logStream = await container.logs({
+      follow: true,
+      stdout: true,
+      stderr: true,
+      timestamps: true,
+      since: cursor ? Math.floor(Date.parse(cursor) / 1000) : 0,
+    });
+
+    // Containers without a TTY multiplex stdout and stderr into one stream
+    let output = logStream;
+    if (!info.Config.Tty) {
+      output = new PassThrough();
+      docker.modem.demuxStream(logStream, output, output);
+      logStream.on("end", () => output.end());
+    }
+
+    const writer = await createWriter(id);
+    captures.set(id, logStream);
+
+    let buffer = "";
+    output.on("data", (chunk) => {
+      buffer += chunk.toString();
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const raw of lines) {
+        const { time, line } = parseLine(raw.replace(/\r$/, ""));
+        // `since` has a resolution of seconds, so lines already stored come again
+        if (cursor && compareTime(time, cursor) <= 0) continue;
+        writer.write(time, line);
+      }
+    });
+
+    const finish = () => {
+      if (captures.get(id) !== logStream) return;
+      captures.delete(id);
+      writer.close();
+    };
+    logStream.on("end", finish);
+    logStream.on("error", finish);
+  } catch (err) {
+    captures.delete(id);
+    if (err.statusCode !== 404) {
+      log.error(`Failed to capture the console of ${id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Captures the console of every running instance, and of every instance that starts later.
+ */
+async function startLogCapture() {
+  onContainerEvent(async (event) => {
+    if (event.action !== "start") return;
+    try {
+      if ((await getState(event.id)) !== null) await captureConsole(event.id);
+    } catch (err) {
+      log.error(`Failed to start capturing the console of ${event.id}:`, err.message);
+    }
+  });
+
+  const containers = await docker.listContainers();
+  for (const container of containers) {
+    const id = (container.Names[0] || "").replace(/^\//, "");
+    if (id && (await getState(id)) !== null) {
+      await captureConsole(id);
+    }
+  }
+}
+
+/**
+ * Lists the log files of an instance.
+ * @param {string} id - The instance ID.
+ * @returns {Promise<Object[]>} `name`, `size` and `lastUpdated` of each file, oldest first.
+ */
+async function listLogFiles(id) {
+  const dir = logDir(id);
+  return Promise.all(
+    (await logFiles(id)).map(async (name) => {
+      const stats = await fsPromises.stat(path.join(dir, name));
+      return { name, size: stats.size, lastUpdated: stats.mtime.toISOString() };
+    })
+  );
+}
+
+/**
+ * Reads stored console lines of an instance, oldest first.
+ * @param {string} id - The instance ID.
+ * @param {Object} [options]
+ * @param {string} [options.from] - Only lines at or after this time.
+ * @param {string} [options.after] - Only lines after this timestamp, to fetch the next page.
+ * @param {string} [options.to] - Only lines at or before this time.
+ * @param {string} [options.search] - Only lines containing this text, case-insensitively.
+ * @param {number} [options.limit] - The maximum number of lines (default 500, max 5000).
+ * @returns {Promise<Object>} The `lines` (`{ time, line }`), whether there are more lines
+ * (`hasMore`) and the timestamp to pass as `after` for the next page (`next`).
+ * @throws {Error} With statusCode 400 for an invalid time.
+ */
+async function readLogs(id, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 500, 1), MAX_LIMIT);
+
+  for (const key of ["from", "after", "to"]) {
+    if (options[key] && Number.isNaN(Date.parse(options[key]))) {
+      const err = new Error(`${key} must be a valid date`);
+      err.statusCode = 400;
+      throw err;
+    }
+  }
+  const from = options.from && new Date(options.from).toISOString();
+  const to = options.to && new Date(options.to).toISOString();
+
+  let matches = () => true;
+  if (options.search) {
+    const needle = String(options.search).toLowerCase();
+    matches = (line) => line.toLowerCase().includes(needle);
+  }
+
+  const dir = logDir(id);
+  const lines = [];
+  let hasMore = false;
+  let done = false;
+
+  for (const name of await logFiles(id)) {
+    const reader = readline.createInterface({
+      input: fs.createReadStream(path.join(dir, name)),
+      crlfDelay: Infinity,
+    });
+
+    for await (const raw of reader) {
+      if (!raw) continue;
+      const entry = parseLine(raw);
+      if (from && compareTime(entry.time, from) < 0) continue;
+      if (options.after && compareTime(entry.time, options.after) <= 0) continue;
+      if (to && compareTime(entry.time, to) > 0) {
+        done = true;
+        break;
+      }
+      if (!matches(entry.line)) continue;
+
+      if (lines.length === limit) {
+        hasMore = done = true;
+        break;
+      }
+      lines.push(entry);
+    }
+    reader.close();
+    if (done) break;
+  }
+
+  return { lines, hasMore, next: hasMore ? lines[lines.length - 1].time : null };
+}
+
+/**
+ * Opens the stored console output of an instance as one stream, oldest first.
+ * @param {string} id - The instance ID.
+ * @returns {Promise<stream.Readable|null>} The stream, or null if nothing was captured yet.
+ */
+async function openLogStream(id) {
+  const dir = logDir(id);
+  const files = await logFiles(id);
+  if (files.length === 0) return null;
+
+  const output = new PassThrough();
+  (async () => {
+    for (const name of files) {
+      await new Promise((resolve, reject) => {
+        const input = fs.createReadStream(path.join(dir, name));
+        input.on("error", reject);
+        input.on("end", resolve);
+        input.pipe(output, { end: false });
+      });
+    }
+    output.end();
+  })().catch((err) => output.destroy(err));
+
+  return output;
+}
+
+/**
+ * Removes the console logs of a deleted instance.
+ * @param {string} id - The instance ID.
+ */
+async function deleteLogs(id) {
+  await fsPromises.rm(logDir(id), { recursive: true, force: true });
+}
+
+module.exports = {
+  startLogCapture,
+  captureConsole,
+  listLogFiles,
+  readLogs,
+  openLogStream,
+  deleteLogs,
+};
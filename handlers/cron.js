@@ -0,0 +1,139 @@
+/**
+ * Minimal parser for five-field cron expressions: minute, hour, day of month, month and day of
+ * week. Fields accept `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and lists
+ * (`1,15,30`). Day of week is 0-6 with 0 and 7 both meaning Sunday. Times are local to the node.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// Searching further ahead than this means the expression never matches, e.g. "0 0 31 2 *"
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Builds an error for an invalid expression.
+ * @param {string} message - What is wrong.
+ * @returns {Error} The error, with statusCode 400.
+ */
+function cronError(message) {
+  const err = new Error(`Invalid cron expression: ${message}`);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Parses one field of a cron expression.
+ * @param {string} value - The field.
+ * @param {Object} field - The field name and bounds.
+ * @returns {Set<number>} The matching values.
+ */
+function parseField(value, field) {
+  const values = new Set();
+
+  for (const part of value.split(",")) {
+    const [range, stepValue] = part.split("/");
+    const step = stepValue === undefined ? 1 : Number(stepValue);
+    if (!Number.isInteger(step) || step < 1) {
+      throw cronError(`invalid step "${stepValue}" in ${field.name}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== "*") {
+      const [from, to] = range.split("-");
+      start = Number(from);
+      end = to === undefined ? (stepValue === undefined ? start : field.max) : Number(to);
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end) {
+      throw cronError(`"${part}" is out of range for ${field.name} (${field.min}-${field.max})`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      values.add(i);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression - Five fields, or a macro such as "@daily".
+ * @returns {Object} The parsed expression, to pass to {@link nextRun}.
+ * @throws {Error} With statusCode 400 if the expression is invalid.
+ */
+function parseCron(expression) {
+  if (typeof expression !== "string") throw cronError("must be a string");
+
+  const source = MACROS[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw cronError(`expected ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like cron, a restricted day of month and day of week match if either one matches
+    anyDay: parts[2] === "*" || parts[4] === "*",
+  };
+}
+
+/**
+ * Finds the next time an expression matches, strictly after a given time.
+ * @param {Object|string} cron - The parsed expression or the expression itself.
+ * @param {Date} [after] - The time to search from.
+ * @returns {Date|null} The next match, or null if the expression never matches.
+ */
+function nextRun(cron, after = new Date()) {
+  const parsed = typeof cron === "string" ? parseCron(cron) : cron;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setDate(limit.getDate() + MAX_SEARCH_DAYS);
+
+  while (date < limit) {
+    const dayMatches = parsed.anyDay
+      ? parsed.days.has(date.getDate()) && parsed.weekdays.has(date.getDay())
+      : parsed.days.has(date.getDate()) || parsed.weekdays.has(date.getDay());
+
+    if (!parsed.months.has(date.getMonth() + 1) || !dayMatches) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
@@ -1,4 +1,32 @@
 const Keyv = require('keyv');
 const db = new Keyv('sqlite://AirDaemon.db');
 
-module.exports = { db }
\ No newline at end of file
+const locks = new Map();
+
+/**
+ * Runs a read-modify-write cycle on a single key. Calls for the same key are queued,
+ * so concurrent callers cannot overwrite each other's changes.
+ * @param {string} key - The key to update.
+ * @param {Function} mutator - Receives the current value and returns the new one. Returning
+ * undefined leaves the stored value untouched; throwing aborts the update.
+ * @returns {Promise<any>} The value returned by the mutator.
+ */
+function update(key, mutator) {
+    const previous = locks.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const value = await mutator(await db.get(key));
+        if (value !== undefined) {
+            await db.set(key, value);
+        }
+        return value;
+    });
+
+    locks.set(key, next);
+    next.catch(() => {}).finally(() => {
+        if (locks.get(key) === next) locks.delete(key);
+    });
+
+    return next;
+}
+
+module.exports = { db, update }
@@ -0,0 +1,505 @@
+const Docker = require("dockerode");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const path = require("path");
+const https = require("https");
+const { pipeline } = require("stream/promises");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { db, update } = require("./db.js");
+const { pullImage } = require("./seed.js");
+const { setState, setStateValue } = require("./state.js");
+const { runInstaller, resolveInstaller } = require("./installer.js");
+const { startProgress, emitProgress } = require("./progress.js");
+const { applyNetworking } = require("./network.js");
+const { buildResourceLimits } = require("./limits.js");
+const { saveInstanceSettings } = require("./instances.js");
+const { getKey, isEncrypted, encryptSecret, decryptSecret } = require("./secrets.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+// Deployments are retried this many times across daemon restarts before they are marked as failed
+const MAX_ATTEMPTS = (config.deployments && config.deployments.maxAttempts) || 3;
+
+const PENDING_KEY = "deployments:pending";
+const deploymentKey = (id) => `deployment:${id}`;
+
+// Deployments running in this process
+const activeDeployments = new Set();
+
+const downloadFile = async (url, dir, filename) => {
+  const filePath = path.join(dir, filename);
+  const tempPath = `${filePath}.tmp`;
+
+  return new Promise((resolve, reject) => {
+    https.get(url, async (response) => {
+      if (response.statusCode !== 200) {
+        reject(new Error(`Failed to download ${filename}: HTTP status code ${response.statusCode}`));
+        return;
+      }
+
+      try {
+        const writeStream = fsSync.createWriteStream(tempPath);
+        await pipeline(response, writeStream);
+        
+        // Rename temp file to final filename after successful download
+        await fs.rename(tempPath, filePath);
+        resolve();
+      } catch (err) {
+        // Clean up temp file if there was an error
+        if (fsSync.existsSync(tempPath)) {
+          await fs.unlink(tempPath).catch(() => {});
+        }
+        reject(err);
+      }
+    }).on("error", (err) => {
+      reject(err);
+    });
+  });
+};
+
+const downloadInstallScripts = async (installScripts, dir, variables, onProgress = () => {}) => {
+  try {
+    if (!fsSync.existsSync(dir)) {
+      await fs.mkdir(dir, { recursive: true });
+    }
+
+    const parsedVariables = typeof variables === "string" ? JSON.parse(variables) : variables || {};
+    
+    const downloadPromises = installScripts.map(async (script) => {
+      try {
+        let updatedUri = script.Uri;
+
+        for (const [key, value] of Object.entries(parsedVariables)) {
+          updatedUri = updatedUri.replace(new RegExp(`{{${key}}}`, "g"), value);
+        }
+
+        onProgress({ script: script.Path, status: "started" });
+        await downloadFile(updatedUri, dir, script.Path);
+        log.info(`Successfully downloaded ${script.Path}`);
+        onProgress({ script: script.Path, status: "completed" });
+        return { success: true, script: script.Path };
+      } catch (err) {
+        log.error(`Failed to download ${script.Path}: ${err.message}`);
+        onProgress({ script: script.Path, status: "failed", error: err.message });
+        return { success: false, script: script.Path, error: err.message };
+      }
+    });
+
+    const results = await Promise.all(downloadPromises);
+    const failedDownloads = results.filter(r => !r.success);
+    
+    if (failedDownloads.length > 0) {
+      const details = failedDownloads.map(r => `${r.script} (${r.error})`).join(", ");
+      throw new Error(`Failed to download ${failedDownloads.length} scripts: ${details}`);
+    }
+  } catch (err) {
+    log.error(`Error in downloadInstallScripts: ${err.message}`);
+    throw err;
+  }
+};
+
+const replaceVariables = async (dir, variables) => {
+  try {
+    const files = await fs.readdir(dir);
+    const changedFiles = [];
+    
+    const replacePromises = files.map(async (file) => {
+      const filePath = path.join(dir, file);
+      const stats = await fs.stat(filePath);
+      
+      if (stats.isFile() && !file.endsWith(".jar")) {
+        try {
+          let content = await fs.readFile(filePath, "utf8");
+          let changesMade = false;
+          
+          for (const [key, value] of Object.entries(variables)) {
+            const regex = new RegExp(`{{${key}}}`, "g");
+            if (regex.test(content)) {
+              content = content.replace(regex, value);
+              changesMade = true;
+            }
+          }
+          
+          if (changesMade) {
+            await fs.writeFile(filePath, content, "utf8");
+            changedFiles.push(file);
+            log.info(`Variables replaced in ${file}`);
+          }
+        } catch (err) {
+          log.error(`Error processing file ${file}: ${err.message}`);
+        }
+      }
+    });
+
+    await Promise.all(replacePromises);
+    return changedFiles;
+  } catch (err) {
+    log.error(`Error in replaceVariables: ${err.message}`);
+    throw err;
+  }
+};
+
+/**
+ * Runs the install phase of an instance: downloads the install scripts, replaces the template
+ * variables and, when the volume contains an install entrypoint, runs it in an installer container.
+ * @param {string} id - The instance ID.
+ * @param {string} dir - The instance volume directory.
+ * @param {Object} scripts - The `Scripts` object of the deployment (`Install` and optional `Installer`).
+ * @param {Object} urlVariables - User variables, used in script URLs and passed to the installer.
+ * @param {Object} variables - Generated variables replaced in the downloaded files.
+ * @param {Function} [progress] - Called with `(step, data)` as the phase advances.
+ * @throws {Error} If a download fails or the installer exits with a non-zero code.
+ */
+const runInstallPhase = async (id, dir, scripts, urlVariables, variables, progress = () => {}) => {
+  const parsedVariables = typeof urlVariables === "string" ? JSON.parse(urlVariables) : urlVariables || {};
+
+  await downloadInstallScripts(scripts.Install || [], dir, parsedVariables, (data) => progress("download", data));
+
+  const changedFiles = await replaceVariables(dir, variables);
+  progress("variables", { status: "completed", files: changedFiles });
+
+  const { entrypoint, image } = resolveInstaller(scripts.Installer);
+  if (!fsSync.existsSync(path.join(dir, entrypoint))) {
+    log.info(`No install entrypoint ${entrypoint} for ${id}, skipping installer`);
+    progress("install", { status: "skipped" });
+    return;
+  }
+
+  progress("install", { status: "started", image, entrypoint });
+
+  const { exitCode, output } = await runInstaller({
+    id,
+    volumePath: dir,
+    variables: { ...parsedVariables, ...variables },
+    installer: scripts.Installer,
+  });
+
+  progress("install", { status: exitCode === 0 ? "completed" : "failed", exitCode });
+  if (exitCode !== 0) {
+    const tail = output.trim().split("\n").slice(-10).join("\n");
+    throw new Error(`Installer exited with code ${exitCode}${tail ? `: ${tail}` : ""}`);
+  }
+};
+
+
+/**
+ * The steps of a deployment, in order, with the state the instance is in while each runs.
+ */
+const STEPS = [
+  { name: "pull", state: "PULLING_IMAGE" },
+  { name: "volume", state: "CREATING_VOLUME" },
+  { name: "container", state: "CREATING_CONTAINER" },
+  { name: "install", state: "INSTALLING" },
+  { name: "start", state: "STARTING" },
+];
+
+function objectToEnv(obj) {
+  return obj ? Object.entries(obj).map(([key, value]) => `${key}=${value}`) : [];
+}
+
+/**
+ * Builds the container options for a deployment request.
+ * @param {Object} request - The body of the create request.
+ * @param {string} volumePath - The instance volume directory.
+ * @returns {Object} The container options.
+ */
+function buildContainerOptions(request, volumePath) {
+  const { Image, Id, Cmd, Env, Ports, Memory, Cpu, PortBindings } = request;
+  const variables2 = request.variables;
+  const primaryPort = PortBindings ? Object.values(PortBindings)[0]?.[0]?.HostPort : null;
+
+  const variables2Env = objectToEnv(typeof variables2 === "string" ? JSON.parse(variables2) : variables2);
+
+  const environmentVariables = [
+    ...(Array.isArray(Env) ? Env : []),
+    ...variables2Env,
+    ...(primaryPort ? [`PRIMARY_PORT=${primaryPort}`] : []),
+    ...(Memory ? [`INSTANCE_MEMORY=${Memory}`] : []),
+    ...(Cpu ? [`INSTANCE_CPU=${Cpu}`] : []),
+    `INSTANCE_ID=${Id}`,
+  ].filter(Boolean);
+
+  const containerOptions = {
+    name: Id,
+    Image,
+    ExposedPorts: Ports || {},
+    AttachStdout: true,
+    AttachStderr: true,
+    AttachStdin: true,
+    Tty: true,
+    OpenStdin: true,
+    HostConfig: {
+      PortBindings: PortBindings || {},
+      Binds: [`${volumePath}:/app/data`],
+      ...buildResourceLimits(request),
+    },
+    Env: environmentVariables,
+  };
+
+  if (Cmd) containerOptions.Cmd = Cmd;
+
+  return containerOptions;
+}
+
+/**
+ * Returns a create request as it is persisted. Per-deployment registry credentials are
+ * encrypted, or left out on nodes without a secret key, in which case a resumed deployment
+ * pulls with the credentials configured for the registry.
+ * @param {Object} request - The body of the create request.
+ * @returns {Object} The request to store.
+ */
+function storedRequest(request) {
+  const { RegistryAuth, ...rest } = request;
+  if (!RegistryAuth || !getKey()) return rest;
+  return { ...rest, RegistryAuth: encryptSecret(JSON.stringify(RegistryAuth)) };
+}
+
+/**
+ * Reverses storedRequest for a deployment that is resumed.
+ * @param {Object} request - The stored request.
+ * @returns {Object} The request with its registry credentials decrypted.
+ */
+function loadedRequest(request) {
+  if (!isEncrypted(request.RegistryAuth)) return request;
+  const { RegistryAuth, ...rest } = request;
+  try {
+    return { ...rest, RegistryAuth: JSON.parse(decryptSecret(RegistryAuth)) };
+  } catch (err) {
+    log.warn(`Cannot decrypt the registry credentials of the deployment of ${request.Id}: ${err.message}`);
+    return rest;
+  }
+}
+
+/**
+ * Stores the progress of a deployment so it can be resumed after a restart.
+ * @param {string} id - The instance ID.
+ * @param {Object} patch - Fields to merge into the deployment record.
+ */
+async function saveDeployment(id, patch) {
+  await update(deploymentKey(id), (record) => ({ ...record, ...patch, updatedAt: new Date().toISOString() }));
+  await update(PENDING_KEY, (ids = []) => (ids.includes(id) ? undefined : [...ids, id]));
+}
+
+/**
+ * Removes a finished deployment from the resume queue. Also used to drop the record of an
+ * instance that is deleted mid-deployment.
+ * @param {string} id - The instance ID.
+ */
+async function finishDeployment(id) {
+  await db.delete(deploymentKey(id));
+  await update(PENDING_KEY, (ids = []) => ids.filter((pending) => pending !== id));
+}
+
+/**
+ * @param {string} id - The instance ID.
+ * @returns {boolean} True if a deployment for the instance is running in this process.
+ */
+function isDeploying(id) {
+  return activeDeployments.has(id);
+}
+
+/**
+ * @returns {Promise<string[]>} The images of deployments that have not finished yet.
+ */
+async function getPendingImages() {
+  const pending = (await db.get(PENDING_KEY)) || [];
+  const deployments = await Promise.all(pending.map((id) => db.get(deploymentKey(id))));
+  return deployments.filter((deployment) => deployment && deployment.request).map((deployment) => deployment.request.Image);
+}
+
+/**
+ * @param {string} id - The instance ID.
+ * @throws {Error} With statusCode 409 if a container with this name already exists.
+ */
+async function assertNoContainer(id) {
+  const exists = await docker.getContainer(id).inspect().then(() => true, (err) => {
+    if (err.statusCode === 404) return false;
+    throw err;
+  });
+  if (exists) {
+    const err = new Error(`A container named ${id} already exists`);
+    err.statusCode = 409;
+    throw err;
+  }
+}
+
+/**
+ * Runs the remaining steps of a deployment. Each completed step is persisted, so an interrupted
+ * deployment picks up after the last step that finished.
+ * @param {Object} deployment - The deployment record (`Id`, `request`, `completedSteps`, `attempts`).
+ * @param {Function} [onContainerCreated] - Called with `(container, env)` once the container exists.
+ * @throws {Error} If a step fails. The instance state is set to FAILED or INSTALLATION_FAILED first.
+ */
+async function runDeployment(deployment, onContainerCreated = () => {}) {
+  const { Id, request } = deployment;
+  const { Image, Scripts, PortBindings } = request;
+  const completed = new Set(deployment.completedSteps || []);
+  const volumePath = path.join(__dirname, "../volumes", Id);
+
+  // Progress is streamed to clients on the /deploy/:id WebSocket channel
+  const progress = (name, data) => emitProgress(Id, name, data);
+  let step = null;
+  let container = null;
+
+  activeDeployments.add(Id);
+  startProgress(Id);
+
+  const steps = {
+    pull: async () => {
+      progress("pull", { status: "started", image: Image });
+      await pullImage(Image, (layer) => progress("pull", layer), request.RegistryAuth);
+      progress("pull", { status: "completed", image: Image });
+    },
+    volume: async () => {
+      await fs.mkdir(volumePath, { recursive: true });
+      progress("volume", { status: "completed" });
+    },
+    container: async () => {
+      if (deployment.attempts > 1) {
+        // A container left behind by an interrupted attempt is replaced
+        await docker.getContainer(Id).remove({ force: true }).catch((err) => {
+          if (err.statusCode !== 404) throw err;
+        });
+      } else {
+        await assertNoContainer(Id);
+      }
+      const containerOptions = await applyNetworking(buildContainerOptions(request, volumePath), request);
+      container = await docker.createContainer(containerOptions);
+      progress("container", { status: "completed", containerId: container.id });
+      onContainerCreated(container, containerOptions.Env);
+    },
+    install: async () => {
+      if (!Scripts?.Install?.length && !Scripts?.Installer) return;
+
+      const primaryPort = PortBindings ? Object.values(PortBindings)[0]?.[0]?.HostPort : null;
+      const variables = {
+        ...(primaryPort && { primaryPort }),
+        containerName: container.id.substring(0, 12),
+        timestamp: new Date().toISOString(),
+        randomString: Math.random().toString(36).substring(7),
+      };
+
+      await runInstallPhase(Id, volumePath, Scripts, request.variables, variables, progress);
+    },
+    start: async () => {
+      progress("start", { status: "started" });
+      await container.start().catch((err) => {
+        if (err.statusCode !== 304) throw err; // already running
+      });
+      progress("start", { status: "completed" });
+    },
+  };
+
+  try {
+    if (completed.has("container")) {
+      container = docker.getContainer(Id);
+      container.id = (await container.inspect()).Id;
+    }
+
+    for (const { name, state } of STEPS) {
+      if (completed.has(name)) continue;
+      step = name;
+
+      if (name !== "install" || Scripts?.Install?.length || Scripts?.Installer) {
+        await setState(Id, state);
+      }
+      await steps[name]();
+
+      completed.add(name);
+      await saveDeployment(Id, { completedSteps: [...completed] });
+    }
+
+    await setStateValue(Id, "RUNNING");
+    await finishDeployment(Id);
+    progress("deploy", { status: "completed", state: "RUNNING" });
+  } catch (err) {
+    const state = step === "install" ? "INSTALLATION_FAILED" : "FAILED";
+    const reason = step === "install" ? "Install phase failed" : "Deployment failed";
+
+    log.error(`Deployment of ${Id} failed during ${step}:`, err);
+    await setState(Id, state, { reason, error: err });
+    await finishDeployment(Id);
+    progress("deploy", { status: "failed", failedStep: step, state, error: err.message });
+    throw err;
+  } finally {
+    activeDeployments.delete(Id);
+  }
+}
+
+/**
+ * Starts a new deployment and persists the request before any work is done.
+ * @param {Object} request - The body of the create request.
+ * @param {Function} [onContainerCreated] - Called with `(container, env)` once the container exists.
+ */
+async function deploy(request, onContainerCreated) {
+  const deployment = {
+    Id: request.Id,
+    request,
+    completedSteps: [],
+    attempts: 1,
+    startedAt: new Date().toISOString(),
+  };
+
+  await saveDeployment(request.Id, { ...deployment, request: storedRequest(request) });
+  if (request.Disk !== undefined) {
+    await saveInstanceSettings(request.Id, { DiskQuota: request.Disk || null });
+  }
+  if (request.StopPolicy !== undefined) {
+    await saveInstanceSettings(request.Id, { StopPolicy: request.StopPolicy });
+  }
+  if (request.RestartPolicy !== undefined) {
+    await saveInstanceSettings(request.Id, { RestartPolicy: request.RestartPolicy });
+  }
+  if (request.ShellAccess !== undefined) {
+    await saveInstanceSettings(request.Id, { ShellAccess: Boolean(request.ShellAccess) });
+  }
+  await runDeployment(deployment, onContainerCreated);
+}
+
+/**
+ * Resumes deployments that were interrupted by a daemon restart. Deployments that already used
+ * up their attempts are marked as FAILED instead.
+ */
+async function resumeDeployments() {
+  const pending = (await db.get(PENDING_KEY)) || [];
+
+  for (const id of pending) {
+    const deployment = await db.get(deploymentKey(id));
+    if (!deployment) {
+      await finishDeployment(id);
+      continue;
+    }
+
+    if (deployment.attempts >= MAX_ATTEMPTS) {
+      log.warn(`Deployment of ${id} gave up after ${deployment.attempts} attempts`);
+      await setState(id, "FAILED", {
+        reason: `Deployment did not complete after ${deployment.attempts} attempts`,
+        error: deployment.completedSteps.length ? `Last completed step: ${deployment.completedSteps.slice(-1)[0]}` : null,
+      });
+      await finishDeployment(id);
+      continue;
+    }
+
+    const attempts = deployment.attempts + 1;
+    await saveDeployment(id, { attempts });
+    log.info(`Resuming deployment of ${id} (attempt ${attempts}/${MAX_ATTEMPTS})`);
+
+    // Deployments run one after another to avoid pulling every image at once after a restart
+    await runDeployment({ ...deployment, request: loadedRequest(deployment.request), attempts }).catch(() => {});
+  }
+}
+
+module.exports = {
+  deploy,
+  resumeDeployments,
+  isDeploying,
+  finishDeployment,
+  assertNoContainer,
+  getPendingImages,
+  buildContainerOptions,
+  downloadInstallScripts,
+  replaceVariables,
+  runInstallPhase,
+};
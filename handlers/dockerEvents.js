@@ -0,0 +1,148 @@
+const Docker = require("dockerode");
+const { EventEmitter } = require("events");
+const CatLoggr = require("cat-loggr");
+const { syncState } = require("./state.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const WATCHED_ACTIONS = ["start", "die", "oom", "health_status", "destroy"];
+
+const RECONNECT_DELAY = 5000;
+
+// Containers are replaced on redeploys and edits, so a removal only counts once no container
+// with the same name shows up within this time
+const DESTROY_SETTLE_DELAY = 5000;
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let eventStream = null;
+
+/**
+ * Subscribes to the container events the daemon watches: start, die, oom, health_status and destroy.
+ * @param {Function} listener - Called with `{ action, id, containerId, exitCode, health, time }`,
+ * where `id` is the container name and therefore the instance ID.
+ * @returns {Function} Unsubscribes the listener.
+ */
+function onContainerEvent(listener) {
+  events.on("container", listener);
+  return () => events.off("container", listener);
+}
+
+/**
+ * Splits the Docker event stream into events. Chunks do not always end on an event boundary.
+ * @param {Function} onEvent - Called with each parsed event.
+ * @returns {Function} The chunk handler.
+ */
+function eventParser(onEvent) {
+  let buffer = "";
+  return (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        onEvent(JSON.parse(line));
+      } catch (err) {
+        log.warn(`Ignoring malformed Docker event: ${line}`);
+      }
+    }
+  };
+}
+
+/**
+ * Converts a raw Docker event into the event passed to listeners.
+ * @param {Object} raw - The event from the Docker events stream.
+ * @returns {Object|null} The container event, or null if the daemon does not watch it.
+ */
+function toContainerEvent(raw) {
+  // Health checks report their result in the action, e.g. "health_status: healthy"
+  const [action, health] = String(raw.Action || raw.status || "").split(": ");
+  const attributes = (raw.Actor && raw.Actor.Attributes) || {};
+  if (!WATCHED_ACTIONS.includes(action) || !attributes.name) return null;
+
+  return {
+    action,
+    id: attributes.name,
+    containerId: raw.Actor.ID || raw.id,
+    exitCode: attributes.exitCode !== undefined ? Number(attributes.exitCode) : undefined,
+    health: health || undefined,
+    time: raw.time ? new Date(raw.time * 1000).toISOString() : new Date().toISOString(),
+  };
+}
+
+/**
+ * Keeps the state of an instance in line with its container. Exits are handled by the watchdog,
+ * which tells clean stops apart from crashes.
+ * @param {Object} event - The container event.
+ */
+async function syncInstanceState(event) {
+  switch (event.action) {
+    case "start":
+      await syncState(event.id, "RUNNING", { reason: "Container started" });
+      break;
+    case "health_status":
+      if (event.health === "unhealthy") {
+        await syncState(event.id, "UNHEALTHY", { reason: "Health check failed" });
+      } else if (event.health === "healthy") {
+        await syncState(event.id, "RUNNING", { reason: "Health check passed" });
+      }
+      break;
+    case "oom":
+      log.warn(`${event.id} ran out of memory`);
+      break;
+    case "destroy":
+      setTimeout(async () => {
+        try {
+          await docker.getContainer(event.id).inspect();
+        } catch (err) {
+          if (err.statusCode !== 404) return;
+          await syncState(event.id, "DELETED", { reason: "Container removed" }).catch((error) => {
+            log.error(`Failed to sync the state of ${event.id}:`, error);
+          });
+        }
+      }, DESTROY_SETTLE_DELAY).unref();
+      break;
+  }
+}
+
+/**
+ * Subscribes to the Docker events stream for the whole daemon. Instance states are synced with
+ * every watched event and the events are passed on to the listeners. The stream is reopened if
+ * Docker closes it.
+ */
+function startDockerEvents() {
+  if (eventStream) return;
+
+  docker.getEvents({ filters: { type: ["container"] } }, (err, stream) => {
+    if (err) {
+      log.error("Failed to watch Docker events:", err.message);
+      setTimeout(startDockerEvents, RECONNECT_DELAY);
+      return;
+    }
+
+    eventStream = stream;
+    stream.on("data", eventParser((raw) => {
+      const event = toContainerEvent(raw);
+      if (!event) return;
+
+      syncInstanceState(event).catch((error) => {
+        log.error(`Failed to sync the state of ${event.id}:`, error);
+      });
+      events.emit("container", event);
+    }));
+
+    const reconnect = () => {
+      if (eventStream !== stream) return;
+      eventStream = null;
+      log.warn("Docker event stream closed, reconnecting");
+      setTimeout(startDockerEvents, RECONNECT_DELAY);
+    };
+    stream.on("end", reconnect);
+    stream.on("error", reconnect);
+  });
+}
+
+module.exports = { onContainerEvent, startDockerEvents };
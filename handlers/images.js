@@ -0,0 +1,157 @@
+const Docker = require("dockerode");
+const fs = require("fs").promises;
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { getPendingImages } = require("./deployer.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const imageConfig = config.images || {};
+const pruneConfig = imageConfig.prune || {};
+
+let pruneTimer = null;
+let pruning = false;
+
+/**
+ * Normalizes an image reference the way Docker lists it in `RepoTags`: Docker Hub prefixes are
+ * dropped and a missing tag becomes "latest".
+ * @param {string} reference - The image reference, e.g. "docker.io/library/nginx".
+ * @returns {string} The normalized reference, e.g. "nginx:latest".
+ */
+function normalizeReference(reference) {
+  let normalized = String(reference).replace(/^(docker\.io|index\.docker\.io)\//, "").replace(/^library\//, "");
+  const name = normalized.slice(normalized.lastIndexOf("/") + 1);
+  if (!name.includes(":") && !name.includes("@")) {
+    normalized += ":latest";
+  }
+  return normalized;
+}
+
+/**
+ * Lists the local images together with the instances whose containers use them.
+ * @returns {Promise<Object[]>} `id`, `tags`, `size` (bytes), `created` and `instances` of each image.
+ */
+async function listImages() {
+  const [images, containers] = await Promise.all([
+    docker.listImages(),
+    docker.listContainers({ all: true }),
+  ]);
+
+  return images.map((image) => ({
+    id: image.Id,
+    tags: (image.RepoTags || []).filter((tag) => tag !== "<none>:<none>"),
+    size: image.Size,
+    created: new Date(image.Created * 1000).toISOString(),
+    instances: containers
+      .filter((container) => container.ImageID === image.Id)
+      .map((container) => (container.Names[0] || container.Id).replace(/^\//, "")),
+  }));
+}
+
+/**
+ * Removes every image that no container uses. Images of deployments that have not finished and
+ * the installer image are kept, so a resumed deployment does not have to pull them again.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report the images that would be removed.
+ * @returns {Promise<Object>} The `removed` images, the `reclaimed` bytes and the `failed` removals.
+ */
+async function pruneImages(options = {}) {
+  const keep = new Set([
+    ...(await getPendingImages()),
+    (config.installer && config.installer.image) || "alpine:latest",
+  ].map(normalizeReference));
+
+  const unused = (await listImages()).filter(
+    (image) => image.instances.length === 0 && !image.tags.some((tag) => keep.has(tag))
+  );
+
+  const removed = [];
+  const failed = [];
+  for (const image of unused) {
+    if (!options.dryRun) {
+      try {
+        await docker.getImage(image.id).remove();
+      } catch (err) {
+        // Images that are still the parent of another image or in use by a new container stay
+        failed.push({ id: image.id, tags: image.tags, error: err.message });
+        continue;
+      }
+    }
+    removed.push({ id: image.id, tags: image.tags, size: image.size });
+  }
+
+  const reclaimed = removed.reduce((total, image) => total + image.size, 0);
+  if (!options.dryRun && removed.length > 0) {
+    log.info(`Pruned ${removed.length} unused images (${(reclaimed / 1024 / 1024).toFixed(1)} MB)`);
+  }
+  return { removed, reclaimed, failed, dryRun: Boolean(options.dryRun) };
+}
+
+/**
+ * Reads the disk usage of the filesystem Docker stores its images on.
+ * @returns {Promise<Object|null>} `path`, `total`, `free` (bytes) and `usedPercent`, or null if
+ * the Docker root directory cannot be read from this process.
+ */
+async function getDiskUsage() {
+  try {
+    const { DockerRootDir } = await docker.info();
+    const stats = await fs.statfs(DockerRootDir || "/var/lib/docker");
+    const total = stats.blocks * stats.bsize;
+    const free = stats.bavail * stats.bsize;
+    return {
+      path: DockerRootDir,
+      total,
+      free,
+      usedPercent: total > 0 ? Math.round(((total - free) / total) * 1000) / 10 : 0,
+    };
+  } catch (err) {
+    log.warn(`Could not read Docker disk usage: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Runs one scheduled prune. Images are only pruned once the disk usage reaches the configured
+ * threshold; without a threshold every run prunes.
+ */
+async function runScheduledPrune() {
+  if (pruning) return;
+  pruning = true;
+
+  try {
+    const threshold = pruneConfig.threshold;
+    if (threshold) {
+      const usage = await getDiskUsage();
+      if (usage && usage.usedPercent < threshold) return;
+      if (usage) {
+        log.info(`Docker disk usage is ${usage.usedPercent}% (threshold ${threshold}%), pruning images`);
+      }
+    }
+    await pruneImages();
+  } catch (err) {
+    log.error("Scheduled image prune failed:", err);
+  } finally {
+    pruning = false;
+  }
+}
+
+/**
+ * Starts the scheduled image prune if it is enabled in config.json.
+ */
+function startImagePruning() {
+  if (!pruneConfig.enabled || pruneTimer) return;
+
+  const interval = Math.max(Number(pruneConfig.interval) || 3600, 60) * 1000;
+  pruneTimer = setInterval(runScheduledPrune, interval);
+  pruneTimer.unref();
+  log.info(`Scheduled image prune every ${interval / 1000}s`);
+}
+
+module.exports = {
+  normalizeReference,
+  listImages,
+  pruneImages,
+  getDiskUsage,
+  startImagePruning,
+};
@@ -0,0 +1,115 @@
+const Docker = require("dockerode");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { pullImage } = require("./seed.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const installerConfig = config.installer || {};
+
+const DEFAULT_IMAGE = "alpine:latest";
+const DEFAULT_ENTRYPOINT = "install.sh";
+const DEFAULT_SHELL = "sh";
+const DEFAULT_TIMEOUT = 900; // seconds
+
+// The installer sees the volume at the same path as the instance container
+const MOUNT_PATH = "/app/data";
+
+/**
+ * Resolves the installer settings for a deployment, falling back to the node defaults in config.json.
+ * @param {Object} [overrides] - Per-deployment `Image`, `Entrypoint`, `Shell` and `Timeout`.
+ * @returns {Object} The resolved image, entrypoint, shell and timeout (in seconds).
+ */
+function resolveInstaller(overrides = {}) {
+  return {
+    image: overrides.Image || installerConfig.image || DEFAULT_IMAGE,
+    entrypoint: overrides.Entrypoint || installerConfig.entrypoint || DEFAULT_ENTRYPOINT,
+    shell: overrides.Shell || installerConfig.shell || DEFAULT_SHELL,
+    timeout: Number(overrides.Timeout || installerConfig.timeout || DEFAULT_TIMEOUT),
+  };
+}
+
+/**
+ * Converts a variables object into a Docker `Env` array.
+ * @param {Object} variables - Template variables.
+ * @returns {string[]} Entries in `KEY=value` form.
+ */
+function toEnv(variables) {
+  return Object.entries(variables || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${value}`);
+}
+
+/**
+ * Removes a leftover installer container from an interrupted run.
+ * @param {string} name - The installer container name.
+ */
+async function removeStaleInstaller(name) {
+  try {
+    await docker.getContainer(name).remove({ force: true });
+    log.warn(`Removed stale installer container ${name}`);
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+}
+
+/**
+ * Runs the install entrypoint of an instance inside a short-lived installer container.
+ * The instance volume is mounted into the container and the template variables are passed as env.
+ *
+ * @param {Object} options
+ * @param {string} options.id - The instance ID.
+ * @param {string} options.volumePath - Absolute path of the instance volume on the host.
+ * @param {Object} [options.variables] - Template variables, exposed to the script as environment variables.
+ * @param {Object} [options.installer] - Per-deployment overrides, see {@link resolveInstaller}.
+ * @returns {Promise<{exitCode: number, output: string}>} The exit code and console output of the script.
+ * @throws {Error} If the installer could not be started or did not finish in time.
+ */
+async function runInstaller({ id, volumePath, variables, installer }) {
+  const { image, entrypoint, shell, timeout } = resolveInstaller(installer);
+  const name = `${id}-installer`;
+
+  await pullImage(image);
+  await removeStaleInstaller(name);
+
+  log.info(`Running installer for ${id} using ${image}`);
+  const container = await docker.createContainer({
+    name,
+    Image: image,
+    Entrypoint: [shell],
+    Cmd: [`${MOUNT_PATH}/${entrypoint}`],
+    WorkingDir: MOUNT_PATH,
+    Env: toEnv(variables),
+    AttachStdout: true,
+    AttachStderr: true,
+    Tty: true,
+    HostConfig: {
+      Binds: [`${volumePath}:${MOUNT_PATH}`],
+    },
+  });
+
+  let timer;
+  try {
+    await container.start();
+
+    const result = await Promise.race([
+      container.wait(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Installer timed out after ${timeout} seconds`)), timeout * 1000);
+      }),
+    ]);
+
+    const output = (await container.logs({ stdout: true, stderr: true })).toString("utf8");
+    log.info(`Installer for ${id} exited with code ${result.StatusCode}`);
+
+    return { exitCode: result.StatusCode, output };
+  } finally {
+    clearTimeout(timer);
+    await container.remove({ force: true }).catch((err) => {
+      log.error(`Failed to remove installer container ${name}: ${err.message}`);
+    });
+  }
+}
+
+module.exports = { runInstaller, resolveInstaller };
@@ -0,0 +1,38 @@
+const { db, update } = require("./db.js");
+
+const settingsKey = (id) => `instance:${id}`;
+
+/**
+ * Per-instance settings kept by the daemon that Docker has no place for, such as the disk quota.
+ * @param {string} id - The instance ID.
+ * @returns {Promise<Object>} The settings, an empty object if none are stored.
+ */
+async function getInstanceSettings(id) {
+  return (await db.get(settingsKey(id))) || {};
+}
+
+/**
+ * Merges settings into the stored settings of an instance. Keys set to null are removed.
+ * @param {string} id - The instance ID.
+ * @param {Object} patch - The settings to change.
+ * @returns {Promise<Object>} The stored settings.
+ */
+async function saveInstanceSettings(id, patch) {
+  return update(settingsKey(id), (settings = {}) => {
+    const merged = { ...settings, ...patch };
+    for (const [key, value] of Object.entries(merged)) {
+      if (value === null) delete merged[key];
+    }
+    return merged;
+  });
+}
+
+/**
+ * Removes the settings of a deleted instance.
+ * @param {string} id - The instance ID.
+ */
+async function deleteInstanceSettings(id) {
+  await db.delete(settingsKey(id));
+}
+
+module.exports = { getInstanceSettings, saveInstanceSettings, deleteInstanceSettings };
@@ -0,0 +1,148 @@
+const MB = 1024 * 1024;
+
+// CFS scheduler period in microseconds; the quota is a share of it
+const CPU_PERIOD = 100000;
+
+// HostConfig fields that `docker update` can change on an existing container
+const UPDATABLE_FIELDS = ["Memory", "MemorySwap", "CpuQuota", "CpuPeriod", "BlkioWeight", "PidsLimit"];
+const LIMIT_FIELDS = [...UPDATABLE_FIELDS, "OomKillDisable"];
+
+const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+/**
+ * Creates the error thrown for an invalid limit. It carries a `statusCode` like Docker errors do.
+ * @param {string} message - The error message.
+ * @returns {Error}
+ */
+function limitError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Converts a limit from the request body to a number.
+ * @param {*} value - The value, a number or a numeric string.
+ * @param {string} name - The field name, for the error message.
+ * @returns {number} The number.
+ * @throws {Error} With statusCode 400 if the value is not a finite number.
+ */
+function toNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw limitError(`${name} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Resolves the CPU limit in percent of one core. `CpuLimit` is the percentage; the older `Cpu`
+ * field is a core count and is converted (1 core = 100%).
+ * @param {Object} body - The request body.
+ * @returns {number|undefined} The CPU limit in percent, 0 for unlimited.
+ * @throws {Error} With statusCode 400 if the limit is not a number.
+ */
+function cpuPercent({ CpuLimit, Cpu }) {
+  if (isSet(CpuLimit)) return toNumber(CpuLimit, "CpuLimit");
+  if (isSet(Cpu)) return toNumber(Cpu, "Cpu") * 100;
+  return undefined;
+}
+
+/**
+ * Builds the Docker HostConfig resource limits from the limits in a request body. Only the
+ * limits present in the body are returned, so the result can be merged over an existing config.
+ *
+ * Supported fields: `Memory` and `Swap` (MB, swap -1 for unlimited), `CpuLimit` (percent of one
+ * core) or `Cpu` (cores), `PidsLimit`, `IoWeight` (10-1000) and `OomKillDisable`.
+ *
+ * @param {Object} body - The request body.
+ * @param {Object} [current] - The current HostConfig, used when swap changes without memory.
+ * @returns {Object} HostConfig fields.
+ * @throws {Error} With statusCode 400 if a value is not a number or out of range.
+ */
+function buildResourceLimits(body, current = {}) {
+  const limits = {};
+  const { Memory, Swap, PidsLimit, IoWeight, OomKillDisable } = body;
+
+  if (isSet(Memory)) {
+    const memory = toNumber(Memory, "Memory");
+    if (memory < 0) throw limitError("Memory cannot be negative");
+    limits.Memory = memory * MB;
+  }
+
+  if (isSet(Swap)) {
+    const swap = toNumber(Swap, "Swap");
+    const memory = limits.Memory || current.Memory;
+    if (swap !== -1 && !memory) {
+      throw limitError("Swap requires a memory limit");
+    }
+    // Docker's MemorySwap is memory plus swap
+    limits.MemorySwap = swap === -1 ? -1 : memory + swap * MB;
+  } else if (isSet(Memory) && current.MemorySwap > 0) {
+    // Keep the swap allowance when only the memory limit changes
+    limits.MemorySwap = limits.Memory + (current.MemorySwap - (current.Memory || 0));
+  }
+
+  const cpu = cpuPercent(body);
+  if (cpu !== undefined) {
+    if (cpu < 0) throw limitError("CPU limit cannot be negative");
+    limits.CpuPeriod = CPU_PERIOD;
+    limits.CpuQuota = cpu === 0 ? 0 : Math.round((cpu / 100) * CPU_PERIOD);
+  }
+
+  if (isSet(PidsLimit)) {
+    limits.PidsLimit = toNumber(PidsLimit, "PidsLimit");
+  }
+
+  if (isSet(IoWeight)) {
+    const weight = toNumber(IoWeight, "IoWeight");
+    if (weight < 10 || weight > 1000) {
+      throw limitError("IoWeight must be between 10 and 1000");
+    }
+    limits.BlkioWeight = weight;
+  }
+
+  if (isSet(OomKillDisable)) {
+    limits.OomKillDisable = OomKillDisable === true || OomKillDisable === "true";
+  }
+
+  return limits;
+}
+
+/**
+ * Picks the resource limits out of an existing HostConfig, so they survive recreating the container.
+ * @param {Object} hostConfig - The HostConfig of the existing container.
+ * @returns {Object} The limits that are set.
+ */
+function currentLimits(hostConfig = {}) {
+  const limits = {};
+  for (const key of LIMIT_FIELDS) {
+    if (hostConfig[key]) limits[key] = hostConfig[key];
+  }
+  return limits;
+}
+
+/**
+ * Splits resource limits into the ones `docker update` can apply to a running container and the
+ * ones that need the container to be recreated.
+ * @param {Object} limits - HostConfig limits from {@link buildResourceLimits}.
+ * @param {Object} current - The current HostConfig.
+ * @returns {{live: Object, recreate: Object}} Changed limits by how they can be applied.
+ */
+function splitLimitChanges(limits, current = {}) {
+  const live = {};
+  const recreate = {};
+
+  for (const [key, value] of Object.entries(limits)) {
+    const currentValue = typeof value === "boolean" ? Boolean(current[key]) : current[key];
+    if (currentValue === value) continue;
+    if (UPDATABLE_FIELDS.includes(key)) {
+      live[key] = value;
+    } else {
+      recreate[key] = value;
+    }
+  }
+  return { live, recreate };
+}
+
+module.exports = { buildResourceLimits, splitLimitChanges, currentLimits, cpuPercent };
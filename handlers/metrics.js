@@ -0,0 +1,254 @@
+const Docker = require("dockerode");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { db, update } = require("./db.js");
+const { getState } = require("./state.js");
+const { onContainerEvent } = require("./dockerEvents.js");
+const { subscribeStats } = require("./stats.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const metricsConfig = config.metrics || {};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Points kept per resolution: a day of minutes and a month of hours by default
+const RESOLUTIONS = {
+  "1m": { step: MINUTE, retention: metricsConfig.minuteRetention || 1440 },
+  "1h": { step: HOUR, retention: metricsConfig.hourRetention || 720 },
+};
+
+// The averaged fields of a point; the other fields are peaks or last values
+const AVERAGED = ["cpu", "memory", "rxRate", "txRate", "readRate", "writeRate"];
+
+const metricsKey = (id, resolution) => `metrics:${id}:${resolution}`;
+
+// Instances being recorded, with the samples of the current minute
+const recorders = new Map();
+
+/**
+ * @param {string} message - The error message.
+ * @returns {Error} An error with statusCode 400.
+ */
+function validationError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Appends a point to a ring buffer, dropping the oldest points beyond the retention.
+ * @param {string} id - The instance ID.
+ * @param {string} resolution - "1m" or "1h".
+ * @param {Object} point - The point.
+ */
+async function appendPoint(id, resolution, point) {
+  const { retention } = RESOLUTIONS[resolution];
+  await update(metricsKey(id, resolution), (points = []) => {
+    const next = points.filter((p) => p.timestamp !== point.timestamp);
+    next.push(point);
+    return next.slice(-retention);
+  });
+}
+
+/**
+ * Merges samples or points into one point.
+ * @param {string} timestamp - The start of the period of the point.
+ * @param {Object[]} entries - Points with the fields of a metrics point.
+ * @returns {Object} The point.
+ */
+function mergePoints(timestamp, entries) {
+  const point = { timestamp };
+  for (const field of AVERAGED) {
+    point[field] = Math.round((entries.reduce((sum, e) => sum + e[field], 0) / entries.length) * 100) / 100;
+  }
+  point.cpuMax = Math.max(...entries.map((e) => e.cpuMax));
+  point.memoryMax = Math.max(...entries.map((e) => e.memoryMax));
+  point.memoryLimit = entries[entries.length - 1].memoryLimit;
+  point.volumeSize = entries[entries.length - 1].volumeSize;
+  return point;
+}
+
+/**
+ * Turns a stats sample into the fields of a metrics point.
+ * @param {Object} stats - A sample from handlers/stats.js.
+ * @returns {Object} The point fields.
+ */
+function toPoint(stats) {
+  return {
+    cpu: stats.cpu.percent,
+    cpuMax: stats.cpu.percent,
+    memory: stats.memory.used,
+    memoryMax: stats.memory.used,
+    memoryLimit: stats.memory.limit,
+    rxRate: stats.network.rxRate,
+    txRate: stats.network.txRate,
+    readRate: stats.disk.readRate,
+    writeRate: stats.disk.writeRate,
+    volumeSize: stats.volumeSize,
+  };
+}
+
+/**
+ * Stores the hourly point of an hour from the minute points stored for it.
+ * @param {string} id - The instance ID.
+ * @param {number} hourStart - The start of the hour in milliseconds.
+ */
+async function rollupHour(id, hourStart) {
+  const minutes = ((await db.get(metricsKey(id, "1m"))) || []).filter((p) => {
+    const time = Date.parse(p.timestamp);
+    return time >= hourStart && time < hourStart + HOUR;
+  });
+  if (minutes.length) {
+    await appendPoint(id, "1h", mergePoints(new Date(hourStart).toISOString(), minutes));
+  }
+}
+
+/**
+ * Stores the minute point of the samples collected so far, and the hourly point when the
+ * minute closes an hour.
+ * @param {string} id - The instance ID.
+ * @param {Object} recorder - The recorder of the instance.
+ */
+async function flushMinute(id, recorder) {
+  const { samples, minuteStart } = recorder;
+  recorder.samples = [];
+  if (!samples.length) return;
+
+  try {
+    await appendPoint(id, "1m", mergePoints(new Date(minuteStart).toISOString(), samples));
+    const hourStart = Math.floor(minuteStart / HOUR) * HOUR;
+    if (recorder.hourStart !== null && recorder.hourStart !== hourStart) {
+      await rollupHour(id, recorder.hourStart);
+    }
+    recorder.hourStart = hourStart;
+  } catch (err) {
+    log.error(`Failed to store metrics of ${id}:`, err.message);
+  }
+}
+
+/**
+ * Starts recording the resource usage of an instance. Does nothing if it is already recorded.
+ * @param {string} id - The instance ID.
+ */
+function recordMetrics(id) {
+  if (recorders.has(id)) return;
+
+  const recorder = { samples: [], minuteStart: null, hourStart: null };
+  recorder.unsubscribe = subscribeStats(id, (stats) => {
+    const minuteStart = Math.floor(Date.parse(stats.timestamp) / MINUTE) * MINUTE;
+    if (recorder.minuteStart !== null && minuteStart !== recorder.minuteStart) {
+      flushMinute(id, recorder);
+    }
+    recorder.minuteStart = minuteStart;
+    recorder.samples.push(toPoint(stats));
+  });
+  recorders.set(id, recorder);
+}
+
+/**
+ * Stops recording an instance, storing what was collected of the current minute and hour.
+ * @param {string} id - The instance ID.
+ */
+async function stopRecording(id) {
+  const recorder = recorders.get(id);
+  if (!recorder) return;
+
+  recorders.delete(id);
+  recorder.unsubscribe();
+  await flushMinute(id, recorder);
+  if (recorder.hourStart !== null) {
+    await rollupHour(id, recorder.hourStart).catch((err) => {
+      log.error(`Failed to store metrics of ${id}:`, err.message);
+    });
+  }
+}
+
+/**
+ * Records the resource usage of every running instance, starting and stopping with their
+ * containers. Samples are averaged into 1-minute points, which are rolled up into 1-hour points.
+ */
+async function startMetrics() {
+  if (metricsConfig.enabled === false) return;
+
+  onContainerEvent(async (event) => {
+    try {
+      if (event.action === "start") {
+        if ((await getState(event.id)) !== null) recordMetrics(event.id);
+      } else if (event.action === "die" || event.action === "destroy") {
+        await stopRecording(event.id);
+      }
+    } catch (err) {
+      log.error(`Failed to update metrics recording of ${event.id}:`, err.message);
+    }
+  });
+
+  const containers = await docker.listContainers();
+  for (const container of containers) {
+    const id = (container.Names[0] || "").replace(/^\//, "");
+    if (id && (await getState(id)) !== null) {
+      recordMetrics(id);
+    }
+  }
+}
+
+/**
+ * Parses a time query parameter.
+ * @param {string} value - An ISO date or a Unix timestamp in milliseconds.
+ * @param {string} name - The parameter name, for the error message.
+ * @returns {number|undefined} The time in milliseconds.
+ */
+function parseTime(value, name) {
+  if (value === undefined || value === "") return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) throw validationError(`${name} must be a date or a timestamp`);
+  return time;
+}
+
+/**
+ * Returns the stored metrics of an instance. Points are `{ timestamp, cpu, cpuMax, memory,
+ * memoryMax, memoryLimit, rxRate, txRate, readRate, writeRate, volumeSize }`: CPU in percent of
+ * one core, memory and volume sizes in bytes and rates in bytes per second, averaged over the
+ * period starting at `timestamp` except for the maximums and the last known limit and size.
+ * @param {string} id - The instance ID.
+ * @param {Object} [options]
+ * @param {string} [options.from] - The start of the range; defaults to one day before `to`
+ * for 1m and 30 days before `to` for 1h.
+ * @param {string} [options.to] - The end of the range; defaults to now.
+ * @param {string} [options.resolution] - "1m" (default) or "1h".
+ * @returns {Promise<Object>} The `resolution`, `from`, `to` and `points`, oldest first.
+ */
+async function getMetrics(id, { from, to, resolution = "1m" } = {}) {
+  const settings = RESOLUTIONS[resolution];
+  if (!settings) {
+    throw validationError(`resolution must be one of ${Object.keys(RESOLUTIONS).join(", ")}`);
+  }
+
+  const end = parseTime(to, "to") ?? Date.now();
+  const start = parseTime(from, "from") ?? end - settings.step * settings.retention;
+  if (start > end) throw validationError("from must be before to");
+
+  const points = ((await db.get(metricsKey(id, resolution))) || []).filter((p) => {
+    const time = Date.parse(p.timestamp);
+    return time >= start && time <= end;
+  });
+
+  return { resolution, from: new Date(start).toISOString(), to: new Date(end).toISOString(), points };
+}
+
+/**
+ * Stops recording an instance and deletes its stored metrics.
+ * @param {string} id - The instance ID.
+ */
+async function deleteMetrics(id) {
+  const recorder = recorders.get(id);
+  if (recorder) {
+    recorders.delete(id);
+    recorder.unsubscribe();
+  }
+  await Promise.all(Object.keys(RESOLUTIONS).map((resolution) => db.delete(metricsKey(id, resolution))));
+}
+
+module.exports = { startMetrics, recordMetrics, stopRecording, getMetrics, deleteMetrics };
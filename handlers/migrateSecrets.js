@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { program } = require('commander');
+const {
+  configSecretPaths,
+  KEY_ENV,
+  KEY_FILE,
+  ensureKey,
+  isEncrypted,
+  encryptSecret,
+} = require('./secrets');
+
+// Parse command-line arguments
+program
+  .option('--dry-run', 'List what would be encrypted without writing anything')
+  .parse(process.argv);
+
+const options = program.opts();
+
+const configPath = path.join(__dirname, '../config.json');
+const ftpDir = path.join(__dirname, '../ftp');
+
+// Function to encrypt the plaintext secrets of config.json, returns how many were encrypted
+function migrateConfig() {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  let migrated = 0;
+
+  for (const parts of configSecretPaths(config)) {
+    const name = parts.join('.');
+    const parent = parts.slice(0, -1).reduce((object, part) => (object ? object[part] : undefined), config);
+    const field = parts[parts.length - 1];
+    if (!parent || !parent[field] || isEncrypted(parent[field])) continue;
+
+    console.log(`config.json: ${name}`);
+    if (!options.dryRun) parent[field] = encryptSecret(parent[field]);
+    migrated++;
+  }
+
+  if (migrated && !options.dryRun) {
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  }
+  return migrated;
+}
+
+// Function to encrypt the passwords of the FTP users, returns how many were encrypted
+function migrateFtpUsers() {
+  if (!fs.existsSync(ftpDir)) return 0;
+  let migrated = 0;
+
+  for (const file of fs.readdirSync(ftpDir)) {
+    if (!/^user-.+\.json$/.test(file)) continue;
+
+    const filePath = path.join(ftpDir, file);
+    let user;
+    try {
+      user = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Skipping ${file}: ${error.message}`);
+      continue;
+    }
+    if (!user.password || isEncrypted(user.password)) continue;
+
+    console.log(`ftp/${file}: password`);
+    if (!options.dryRun) {
+      user.password = encryptSecret(user.password);
+      fs.writeFileSync(filePath, JSON.stringify(user, null, 2));
+    }
+    migrated++;
+  }
+  return migrated;
+}
+
+// Main migration function
+function migrate() {
+  if (!options.dryRun && ensureKey()) {
+    console.log(`Created the secret key file ${KEY_FILE}. Back it up: the secrets cannot be read without it.`);
+  } else if (!process.env[KEY_ENV] && !fs.existsSync(KEY_FILE)) {
+    console.log(`A secret key file would be created at ${KEY_FILE}.`);
+  }
+
+  try {
+    const count = migrateConfig() + migrateFtpUsers();
+    if (options.dryRun) {
+      console.log(`${count} secret(s) would be encrypted.`);
+    } else {
+      console.log(`${count} secret(s) encrypted. Restart the daemon to use them.`);
+    }
+  } catch (error) {
+    console.error('Error migrating secrets:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate();
@@ -0,0 +1,193 @@
+const Docker = require("dockerode");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const networkConfig = config.network || {};
+
+const NETWORK_PREFIX = "vortex-";
+const MANAGED_LABEL = "vortex.managed";
+
+// Labels on instance containers, so later edits know how the instance was networked
+const MODE_LABEL = "vortex.network.mode";
+const OWNER_LABEL = "vortex.owner";
+const SHARED_LABEL = "vortex.network.shared";
+
+/**
+ * Builds an error for invalid networking settings.
+ * @param {string} message - What is wrong.
+ * @returns {Error} The error, with statusCode 400.
+ */
+function networkError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Resolves the networking mode of an instance: the per-instance value if set, otherwise the node default.
+ * @param {string} [mode] - The requested mode, "host" or "bridge".
+ * @returns {string} "host" or "bridge".
+ * @throws {Error} With statusCode 400 for an unsupported mode.
+ */
+function resolveNetworkMode(mode) {
+  const resolved = mode || networkConfig.mode || "host";
+  if (!["host", "bridge"].includes(resolved)) {
+    throw networkError(`Unsupported network mode: ${resolved}`);
+  }
+  return resolved;
+}
+
+const sanitize = (value) => String(value).replace(/[^a-zA-Z0-9_.-]/g, "-");
+
+/**
+ * @param {Object} instance - The instance `Id`, `Owner` and `SharedNetwork` flag.
+ * @returns {string} The Docker network the instance joins in bridge mode.
+ * @throws {Error} With statusCode 400 if a shared network is requested without an owner.
+ */
+function networkName({ Id, Owner, SharedNetwork }) {
+  if (SharedNetwork) {
+    if (!Owner) throw networkError("Owner is required to join a shared network");
+    return `${NETWORK_PREFIX}owner-${sanitize(Owner)}`;
+  }
+  return `${NETWORK_PREFIX}${sanitize(Id)}`;
+}
+
+/**
+ * Creates the bridge network of an instance unless it already exists.
+ * @param {Object} instance - The instance `Id`, `Owner` and `SharedNetwork` flag.
+ * @returns {Promise<string>} The network name.
+ */
+async function ensureNetwork(instance) {
+  const name = networkName(instance);
+
+  try {
+    await docker.getNetwork(name).inspect();
+    return name;
+  } catch (err) {
+    if (err.statusCode !== 404) throw err;
+  }
+
+  await docker.createNetwork({
+    Name: name,
+    Driver: "bridge",
+    CheckDuplicate: true,
+    Labels: {
+      [MANAGED_LABEL]: "true",
+      ...(instance.Owner && { [OWNER_LABEL]: String(instance.Owner) }),
+    },
+  });
+  log.info(`Created network ${name}`);
+  return name;
+}
+
+/**
+ * Checks the networking settings of an instance without creating anything, so a request can be
+ * rejected before its deployment starts.
+ * @param {Object} instance - The instance `Id`, `NetworkMode`, `Owner` and `SharedNetwork` flag.
+ * @throws {Error} With statusCode 400 if the settings are invalid.
+ */
+function validateNetworking(instance) {
+  if (resolveNetworkMode(instance.NetworkMode) === "bridge") {
+    networkName(instance);
+  }
+}
+
+/**
+ * Adds the networking settings of an instance to its container options. In bridge mode the
+ * instance joins its own network (or its owner's shared one) and its port bindings are published.
+ * @param {Object} containerOptions - The container options, modified in place.
+ * @param {Object} instance - The instance `Id`, `NetworkMode`, `Owner` and `SharedNetwork` flag.
+ * @returns {Promise<Object>} The container options.
+ */
+async function applyNetworking(containerOptions, instance) {
+  const mode = resolveNetworkMode(instance.NetworkMode);
+  const hostConfig = containerOptions.HostConfig;
+
+  containerOptions.Labels = {
+    ...containerOptions.Labels,
+    [MODE_LABEL]: mode,
+    ...(instance.Owner && { [OWNER_LABEL]: String(instance.Owner) }),
+    ...(instance.SharedNetwork && { [SHARED_LABEL]: "true" }),
+  };
+
+  if (mode === "host") {
+    hostConfig.NetworkMode = "host";
+    return containerOptions;
+  }
+
+  hostConfig.NetworkMode = await ensureNetwork(instance);
+
+  // Docker only publishes ports the container exposes
+  const exposedPorts = { ...containerOptions.ExposedPorts };
+  for (const port of Object.keys(hostConfig.PortBindings || {})) {
+    exposedPorts[port.includes("/") ? port : `${port}/tcp`] = {};
+  }
+  containerOptions.ExposedPorts = exposedPorts;
+
+  return containerOptions;
+}
+
+/**
+ * Reads the networking settings an instance was created with from its container labels.
+ * @param {Object} labels - The labels of the existing container.
+ * @returns {Object} The `NetworkMode`, `Owner` and `SharedNetwork` flag.
+ */
+function networkingFromLabels(labels = {}) {
+  return {
+    NetworkMode: labels[MODE_LABEL] || "host",
+    Owner: labels[OWNER_LABEL],
+    SharedNetwork: labels[SHARED_LABEL] === "true",
+  };
+}
+
+/**
+ * Resolves the networking settings of a recreated container. Values in the request body win,
+ * the rest are taken from the labels of the container being replaced.
+ * @param {string} id - The instance ID.
+ * @param {Object} body - The request body.
+ * @param {Object} [labels] - The labels of the existing container.
+ * @returns {Object} The `Id`, `NetworkMode`, `Owner` and `SharedNetwork` flag.
+ */
+function resolveNetworking(id, body, labels) {
+  const existing = networkingFromLabels(labels);
+  return {
+    Id: id,
+    NetworkMode: body.NetworkMode || existing.NetworkMode,
+    Owner: body.Owner || existing.Owner,
+    SharedNetwork: body.SharedNetwork !== undefined ? body.SharedNetwork : existing.SharedNetwork,
+  };
+}
+
+/**
+ * Removes a network created by the daemon once no container uses it anymore.
+ * @param {string} name - The network name, as found in the container's `HostConfig.NetworkMode`.
+ */
+async function removeNetworkIfUnused(name) {
+  if (!name || !name.startsWith(NETWORK_PREFIX)) return;
+
+  try {
+    const network = docker.getNetwork(name);
+    const info = await network.inspect();
+    if (!info.Labels || info.Labels[MANAGED_LABEL] !== "true") return;
+    if (Object.keys(info.Containers || {}).length > 0) return;
+
+    await network.remove();
+    log.info(`Removed network ${name}`);
+  } catch (err) {
+    if (err.statusCode !== 404) {
+      log.error(`Failed to remove network ${name}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = {
+  resolveNetworkMode,
+  validateNetworking,
+  applyNetworking,
+  networkingFromLabels,
+  resolveNetworking,
+  removeNetworkIfUnused,
+};
@@ -0,0 +1,207 @@
+const net = require("net");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { db, update } = require("./db.js");
+const log = new CatLoggr();
+
+const ALLOCATIONS_KEY = "ports:allocations";
+
+/**
+ * Parses the port ranges from config.json. Entries are either a single port or a "start-end" range.
+ * @returns {Array<[number, number]>} The inclusive ranges. Empty when no ranges are configured.
+ */
+function getRanges() {
+  const ranges = (config.ports && config.ports.ranges) || [];
+  return ranges
+    .map((range) => String(range).split("-").map(Number))
+    .map(([start, end]) => [start, end || start])
+    .filter(([start, end]) => Number.isInteger(start) && Number.isInteger(end) && start <= end);
+}
+
+/**
+ * @param {number} port - The port to check.
+ * @returns {boolean} True if the port lies in a configured range, or if no ranges are configured.
+ */
+function isInRange(port) {
+  const ranges = getRanges();
+  return ranges.length === 0 || ranges.some(([start, end]) => port >= start && port <= end);
+}
+
+/**
+ * Extracts the host ports from a Docker `PortBindings` object.
+ * @param {Object} portBindings - Bindings in the form `{ "25565/tcp": [{ HostPort: "25565" }] }`.
+ * @returns {number[]} The unique host ports.
+ */
+function portsFromBindings(portBindings) {
+  const ports = Object.values(portBindings || {})
+    .flat()
+    .map((binding) => Number(binding && binding.HostPort))
+    .filter((port) => Number.isInteger(port) && port > 0);
+  return [...new Set(ports)];
+}
+
+/**
+ * Creates the error thrown when ports cannot be assigned. Like Docker errors it carries a
+ * `statusCode`, so routes can pass it straight through.
+ * @param {string} message - The error message.
+ * @param {Array} [conflicts] - The conflicting ports and the instance holding each.
+ * @returns {Error}
+ */
+function allocationError(message, conflicts = []) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  error.conflicts = conflicts;
+  return error;
+}
+
+/**
+ * @returns {Promise<Array<{port: number, instance: string, assignedAt: string}>>} All allocations, sorted by port.
+ */
+async function getAllocations() {
+  const allocations = (await db.get(ALLOCATIONS_KEY)) || {};
+  return Object.entries(allocations)
+    .map(([port, allocation]) => ({ port: Number(port), ...allocation }))
+    .sort((a, b) => a.port - b.port);
+}
+
+/**
+ * @param {string} instanceId - The instance ID.
+ * @returns {Promise<number[]>} The ports assigned to the instance.
+ */
+async function getInstancePorts(instanceId) {
+  return (await getAllocations()).filter((a) => a.instance === instanceId).map((a) => a.port);
+}
+
+/**
+ * Checks whether something on the host is already listening on a TCP port.
+ * @param {number} port - The port to check.
+ * @returns {Promise<boolean>}
+ */
+function isPortInUse(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once("error", () => resolve(true));
+    server.once("listening", () => server.close(() => resolve(false)));
+    server.listen(port, "0.0.0.0");
+  });
+}
+
+/**
+ * Finds ports in the configured ranges that are neither allocated nor in use on the host.
+ * @param {number} [count] - The number of ports to find.
+ * @returns {Promise<number[]>} Up to `count` free ports.
+ */
+async function findFreePorts(count = 1) {
+  const allocations = (await db.get(ALLOCATIONS_KEY)) || {};
+  const free = [];
+
+  for (const [start, end] of getRanges()) {
+    for (let port = start; port <= end && free.length < count; port++) {
+      if (allocations[port] || (await isPortInUse(port))) continue;
+      free.push(port);
+    }
+  }
+  return free;
+}
+
+/**
+ * Checks the requested ports against the allocation table.
+ * @param {Object} allocations - The current allocation table.
+ * @param {string} instanceId - The instance asking for the ports.
+ * @param {number[]} ports - The requested ports.
+ * @throws {Error} With statusCode 409 if a port is out of range or held by another instance.
+ */
+function assertAvailable(allocations, instanceId, ports) {
+  const outOfRange = ports.filter((port) => !isInRange(port));
+  if (outOfRange.length > 0) {
+    throw allocationError(`Ports outside of the node's allocation ranges: ${outOfRange.join(", ")}`,
+      outOfRange.map((port) => ({ port, instance: null })));
+  }
+
+  const conflicts = ports
+    .filter((port) => allocations[port] && allocations[port].instance !== instanceId)
+    .map((port) => ({ port, instance: allocations[port].instance }));
+  if (conflicts.length > 0) {
+    throw allocationError(`Ports already allocated: ${conflicts.map((c) => `${c.port} (${c.instance})`).join(", ")}`, conflicts);
+  }
+}
+
+/**
+ * Reserves ports for an instance in addition to the ones it already holds.
+ * @param {string} instanceId - The instance ID.
+ * @param {number[]} ports - The ports to reserve.
+ * @returns {Promise<number[]>} The ports now held by the instance.
+ * @throws {Error} With statusCode 409 if a port is out of range or held by another instance.
+ */
+async function reservePorts(instanceId, ports) {
+  await update(ALLOCATIONS_KEY, (allocations = {}) => {
+    assertAvailable(allocations, instanceId, ports);
+    const assignedAt = new Date().toISOString();
+    for (const port of ports) {
+      if (!allocations[port]) allocations[port] = { instance: instanceId, assignedAt };
+    }
+    return allocations;
+  });
+  log.info(`Reserved ports ${ports.join(", ")} for ${instanceId}`);
+  return getInstancePorts(instanceId);
+}
+
+/**
+ * Replaces the set of ports held by an instance. Ports it no longer uses are released.
+ * @param {string} instanceId - The instance ID.
+ * @param {number[]} ports - The complete list of ports the instance should hold.
+ * @throws {Error} With statusCode 409 if a port is out of range or held by another instance.
+ */
+async function assignPorts(instanceId, ports) {
+  await update(ALLOCATIONS_KEY, (allocations = {}) => {
+    assertAvailable(allocations, instanceId, ports);
+    const assignedAt = new Date().toISOString();
+    for (const [port, allocation] of Object.entries(allocations)) {
+      if (allocation.instance === instanceId && !ports.includes(Number(port))) delete allocations[port];
+    }
+    for (const port of ports) {
+      if (!allocations[port]) allocations[port] = { instance: instanceId, assignedAt };
+    }
+    return allocations;
+  });
+}
+
+/**
+ * Releases ports held by an instance.
+ * @param {string} instanceId - The instance ID.
+ * @param {number[]} [ports] - The ports to release. Releases every port of the instance when omitted.
+ * @returns {Promise<number[]>} The ports that were released.
+ */
+async function releasePorts(instanceId, ports) {
+  const released = [];
+  await update(ALLOCATIONS_KEY, (allocations = {}) => {
+    for (const [port, allocation] of Object.entries(allocations)) {
+      if (allocation.instance !== instanceId) continue;
+      if (ports && !ports.includes(Number(port))) continue;
+      delete allocations[port];
+      released.push(Number(port));
+    }
+    return allocations;
+  });
+  if (released.length > 0) log.info(`Released ports ${released.join(", ")} of ${instanceId}`);
+  return released;
+}
+
+/**
+ * Drops every allocation on the node.
+ */
+async function clearAllocations() {
+  await update(ALLOCATIONS_KEY, () => ({}));
+}
+
+module.exports = {
+  getRanges,
+  portsFromBindings,
+  getAllocations,
+  getInstancePorts,
+  findFreePorts,
+  reservePorts,
+  assignPorts,
+  releasePorts,
+  clearAllocations,
+};
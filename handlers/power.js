@@ -0,0 +1,330 @@
+const Docker = require("dockerode");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { getInstanceSettings } = require("./instances.js");
+const { expectStop } = require("./watchdog.js");
+const { sendCommand } = require("./console.js");
+const { checkQuota } = require("./quota.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const stopConfig = (config.power && config.power.stop) || {};
+const bulkConfig = (config.power && config.power.bulk) || {};
+
+const DEFAULT_STOP_POLICY = {
+  command: stopConfig.command || null,
+  grace: stopConfig.grace !== undefined ? stopConfig.grace : 30,
+  termTimeout: stopConfig.termTimeout !== undefined ? stopConfig.termTimeout : 10,
+};
+
+// How long to wait for the container to exit after SIGKILL
+const KILL_TIMEOUT = 10;
+const POLL_INTERVAL = 500;
+
+const MAX_BULK_INSTANCES = 500;
+const MAX_CONCURRENCY = 50;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Validates a stop policy and fills in the node defaults.
+ * @param {Object} [policy] - `command` written to the console (`^C` sends SIGINT), `grace` seconds
+ * to wait for the process to exit after the command, and `termTimeout` seconds to wait after SIGTERM.
+ * @returns {Object} The complete stop policy.
+ * @throws {Error} With statusCode 400 if a value is invalid.
+ */
+function normalizeStopPolicy(policy) {
+  const merged = { ...DEFAULT_STOP_POLICY, ...(policy || {}) };
+
+  for (const key of ["grace", "termTimeout"]) {
+    const value = Number(merged[key]);
+    if (!Number.isFinite(value) || value < 0 || value > 3600) {
+      const err = new Error(`StopPolicy.${key} must be between 0 and 3600 seconds`);
+      err.statusCode = 400;
+      throw err;
+    }
+    merged[key] = value;
+  }
+
+  if (merged.command !== null && typeof merged.command !== "string") {
+    const err = new Error("StopPolicy.command must be a string");
+    err.statusCode = 400;
+    throw err;
+  }
+  merged.command = merged.command || null;
+
+  return merged;
+}
+
+/**
+ * @param {string} id - The instance ID.
+ * @returns {Promise<Object>} The stop policy of the instance.
+ */
+async function getStopPolicy(id) {
+  const { StopPolicy } = await getInstanceSettings(id);
+  return normalizeStopPolicy(StopPolicy);
+}
+
+/**
+ * Waits for a container to stop running.
+ * @param {Docker.Container} container - The container.
+ * @param {number} seconds - How long to wait.
+ * @returns {Promise<boolean>} True if the container stopped in time.
+ */
+async function waitForExit(container, seconds) {
+  const deadline = Date.now() + seconds * 1000;
+  do {
+    const info = await container.inspect();
+    if (!info.State.Running) return true;
+    await sleep(POLL_INTERVAL);
+  } while (Date.now() < deadline);
+  return false;
+}
+
+/**
+ * Sends a signal to a container. A container that exited in the meantime is not an error.
+ * @param {Docker.Container} container - The container.
+ * @param {string} signal - The signal name.
+ */
+async function sendSignal(container, signal) {
+  try {
+    await container.kill({ signal });
+  } catch (err) {
+    if (err.statusCode !== 409) throw err;
+  }
+}
+
+/**
+ * Stops an instance following its stop policy: the stop command is written to the console and the
+ * process gets the grace period to exit, then it is sent SIGTERM and finally SIGKILL.
+ * @param {string} id - The instance ID.
+ * @param {Function} [onProgress] - Called with `{ stage, message }` as the stop advances.
+ * @returns {Promise<Object>} `stoppedBy` (the stage that stopped the instance: "command",
+ * "sigterm", "sigkill" or "none" if it was not running) and `elapsed` milliseconds.
+ */
+async function gracefulStop(id, onProgress = () => {}) {
+  const container = docker.getContainer(id);
+  const startedAt = Date.now();
+  const done = (stoppedBy) => {
+    const elapsed = Date.now() - startedAt;
+    onProgress({ stage: "stopped", message: `Stopped by ${stoppedBy} after ${(elapsed / 1000).toFixed(1)}s` });
+    return { stoppedBy, elapsed };
+  };
+
+  const info = await container.inspect();
+  if (!info.State.Running) {
+    return { stoppedBy: "none", elapsed: 0 };
+  }
+
+  const name = info.Name.replace(/^\//, "");
+  const policy = await getStopPolicy(name);
+  expectStop(name);
+
+  if (policy.command) {
+    let sent = true;
+    try {
+      if (policy.command === "^C") {
+        onProgress({ stage: "command", message: "Sending SIGINT" });
+        await sendSignal(container, "SIGINT");
+      } else {
+        onProgress({ stage: "command", message: `Sending stop command "${policy.command}"` });
+        await sendCommand(id, policy.command);
+      }
+    } catch (err) {
+      // The process can still be stopped with signals
+      log.warn(`Failed to send the stop command to ${name}, sending SIGTERM instead: ${err.message}`);
+      sent = false;
+    }
+
+    if (sent) {
+      onProgress({ stage: "grace", message: `Waiting up to ${policy.grace}s for the process to exit` });
+      if (await waitForExit(container, policy.grace)) {
+        return done("command");
+      }
+    }
+  }
+
+  onProgress({ stage: "sigterm", message: "Sending SIGTERM" });
+  await sendSignal(container, "SIGTERM");
+  if (await waitForExit(container, policy.termTimeout)) {
+    return done("sigterm");
+  }
+
+  log.warn(`${name} did not stop within ${policy.termTimeout}s of SIGTERM, killing it`);
+  onProgress({ stage: "sigkill", message: "Sending SIGKILL" });
+  await sendSignal(container, "SIGKILL");
+  if (!(await waitForExit(container, KILL_TIMEOUT))) {
+    throw new Error(`${name} is still running after SIGKILL`);
+  }
+  return done("sigkill");
+}
+
+const POWER_ACTIONS = ["start", "stop", "restart", "kill"];
+
+/**
+ * Runs a power action on an instance. Stops follow the stop policy and instances over their
+ * disk quota are not started.
+ * @param {string} id - The instance ID.
+ * @param {string} action - "start", "stop", "restart" or "kill".
+ * @param {Function} [onProgress] - Passed to {@link gracefulStop}.
+ * @returns {Promise<Object>} The result of the stop, if the action stopped the instance.
+ * @throws {Error} With statusCode 400 for an unknown action or 507 if the disk quota is exceeded.
+ */
+async function runPowerAction(id, action, onProgress) {
+  const container = docker.getContainer(id);
+
+  const start = async () => {
+    const { Name } = await container.inspect();
+    const quota = await checkQuota(Name.replace(/^\//, ""));
+    if (quota.exceeded) {
+      const err = new Error(`Disk quota exceeded: the volume uses ${quota.used} of ${quota.limit} bytes`);
+      err.statusCode = 507;
+      throw err;
+    }
+    await container.start();
+  };
+
+  switch (action) {
+    case "start":
+      await start();
+      return {};
+    case "stop":
+      return gracefulStop(id, onProgress);
+    case "restart": {
+      const result = await gracefulStop(id, onProgress);
+      await start();
+      return result;
+    }
+    case "kill": {
+      const info = await container.inspect();
+      expectStop(info.Name.replace(/^\//, ""));
+      await sendSignal(container, "SIGKILL");
+      return { stoppedBy: "sigkill" };
+    }
+    default: {
+      const err = new Error(`Unsupported power action: ${action}. Supported actions are: ${POWER_ACTIONS.join(", ")}`);
+      err.statusCode = 400;
+      throw err;
+    }
+  }
+}
+
+/**
+ * @param {string} message - The error message.
+ * @returns {Error} An error with statusCode 400.
+ */
+function validationError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Finds the instances whose containers carry all the given labels.
+ * @param {Object|string[]} selector - `{ label: value }`, or Docker label filters such as
+ * `["vortex.owner=42"]`. A label without a value matches any value.
+ * @returns {Promise<string[]>} The instance IDs.
+ */
+async function selectInstances(selector) {
+  const filters = Array.isArray(selector)
+    ? selector
+    : Object.entries(selector).map(([label, value]) => (value === null || value === "" ? label : `${label}=${value}`));
+  if (!filters.length || !filters.every((filter) => typeof filter === "string" && filter.length > 0)) {
+    throw validationError("selector must name at least one label");
+  }
+
+  const containers = await docker.listContainers({ all: true, filters: { label: filters } });
+  return containers.map((container) => (container.Names[0] || "").replace(/^\//, "")).filter(Boolean);
+}
+
+/**
+ * Runs a power action on many instances, a bounded number at a time.
+ * @param {Object} request
+ * @param {string} request.action - One of POWER_ACTIONS.
+ * @param {string[]} [request.ids] - The instance IDs.
+ * @param {Object|string[]} [request.selector] - A label selector instead of `ids`; see selectInstances.
+ * @param {number} [request.concurrency] - How many instances are handled at once (default
+ * `power.bulk.concurrency`).
+ * @param {number} [request.stagger] - Seconds between two starts, for start and restart, so a node
+ * coming back from a reboot does not start every server at once (default `power.bulk.stagger`).
+ * @returns {Promise<Object>} The `action`, counts and per-instance `results`
+ * (`{ id, success, stoppedBy?, error?, statusCode? }`) in the order of the instances.
+ * @throws {Error} With statusCode 400 if the request is invalid.
+ */
+async function runBulkPowerAction({ action, ids, selector, concurrency, stagger } = {}) {
+  if (!POWER_ACTIONS.includes(action)) {
+    throw validationError(`action must be one of ${POWER_ACTIONS.join(", ")}`);
+  }
+  if ((ids === undefined) === (selector === undefined)) {
+    throw validationError("Provide either ids or selector");
+  }
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every((id) => typeof id === "string" && id.length > 0))) {
+    throw validationError("ids must be an array of instance IDs");
+  }
+  if (selector !== undefined && (selector === null || typeof selector !== "object")) {
+    throw validationError("selector must be an object of labels or an array of label filters");
+  }
+
+  const limit = Number(concurrency !== undefined ? concurrency : bulkConfig.concurrency || 5);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CONCURRENCY) {
+    throw validationError(`concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+  }
+  const staggerSeconds = Number(stagger !== undefined ? stagger : bulkConfig.stagger || 0);
+  if (!Number.isFinite(staggerSeconds) || staggerSeconds < 0 || staggerSeconds > 600) {
+    throw validationError("stagger must be between 0 and 600 seconds");
+  }
+
+  const targets = [...new Set(ids !== undefined ? ids : await selectInstances(selector))];
+  if (targets.length > MAX_BULK_INSTANCES) {
+    throw validationError(`At most ${MAX_BULK_INSTANCES} instances can be handled at once`);
+  }
+
+  // Starts are spaced out even when several workers reach them at the same time
+  let nextStart = 0;
+  const waitForStartSlot = async () => {
+    if (!staggerSeconds) return;
+    const now = Date.now();
+    const slot = Math.max(now, nextStart);
+    nextStart = slot + staggerSeconds * 1000;
+    await sleep(slot - now);
+  };
+
+  const runOne = async (id) => {
+    try {
+      // A restart only takes a start slot once the instance has stopped
+      const { stoppedBy } = action === "start" ? {} : await runPowerAction(id, action === "restart" ? "stop" : action);
+      if (action === "start" || action === "restart") {
+        await waitForStartSlot();
+        await runPowerAction(id, "start");
+      }
+      return { id, success: true, ...(stoppedBy && { stoppedBy }) };
+    } catch (err) {
+      log.warn(`Bulk ${action} of ${id} failed: ${err.message}`);
+      return { id, success: false, error: err.message, ...(err.statusCode && { statusCode: err.statusCode }) };
+    }
+  };
+
+  const results = new Array(targets.length);
+  let index = 0;
+  const worker = async () => {
+    while (index < targets.length) {
+      const current = index++;
+      results[current] = await runOne(targets[current]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, targets.length) }, worker));
+
+  const succeeded = results.filter((result) => result.success).length;
+  return { action, total: results.length, succeeded, failed: results.length - succeeded, results };
+}
+
+module.exports = {
+  POWER_ACTIONS,
+  normalizeStopPolicy,
+  getStopPolicy,
+  gracefulStop,
+  runPowerAction,
+  selectInstances,
+  runBulkPowerAction,
+};
@@ -0,0 +1,66 @@
+const { EventEmitter } = require("events");
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Recent events per deployment, replayed to clients that connect late
+const backlogs = new Map();
+const BACKLOG_LIMIT = 500;
+// How long the events of a finished deployment stay available for replay
+const BACKLOG_TTL = 10 * 60 * 1000;
+const expiries = new Map();
+
+/**
+ * Starts a new progress timeline for a deployment, dropping the events of any previous one.
+ * @param {string} id - The instance ID.
+ */
+function startProgress(id) {
+  clearTimeout(expiries.get(id));
+  expiries.delete(id);
+  backlogs.set(id, []);
+  emitProgress(id, "deploy", { status: "started" });
+}
+
+/**
+ * Publishes a progress event for a deployment.
+ * @param {string} id - The instance ID.
+ * @param {string} step - The deployment step (pull, volume, download, variables, install, container, start, deploy).
+ * @param {Object} [data] - Step specific details, such as layer progress or an error message.
+ */
+function emitProgress(id, step, data = {}) {
+  const event = { id, step, ...data, timestamp: new Date().toISOString() };
+
+  const backlog = backlogs.get(id) || [];
+  backlog.push(event);
+  if (backlog.length > BACKLOG_LIMIT) backlog.shift();
+  backlogs.set(id, backlog);
+
+  emitter.emit(id, event);
+
+  if (step === "deploy" && (data.status === "completed" || data.status === "failed")) {
+    clearTimeout(expiries.get(id));
+    const timer = setTimeout(() => {
+      backlogs.delete(id);
+      expiries.delete(id);
+    }, BACKLOG_TTL);
+    timer.unref();
+    expiries.set(id, timer);
+  }
+}
+
+/**
+ * Subscribes to the progress events of a deployment. Events already published for the
+ * current deployment are replayed first.
+ * @param {string} id - The instance ID.
+ * @param {Function} listener - Called with every progress event.
+ * @returns {Function} Removes the listener.
+ */
+function subscribeProgress(id, listener) {
+  for (const event of backlogs.get(id) || []) {
+    listener(event);
+  }
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
+
+module.exports = { startProgress, emitProgress, subscribeProgress };
@@ -0,0 +1,100 @@
+const fs = require("fs").promises;
+const path = require("path");
+const CatLoggr = require("cat-loggr");
+const { getInstanceSettings } = require("./instances.js");
+const log = new CatLoggr();
+
+const VOLUMES_DIR = path.join(__dirname, "../volumes");
+const MB = 1024 * 1024;
+
+// Volume sizes are reused for this long before the volume is walked again
+const SIZE_CACHE_TTL = 60 * 1000;
+const MAX_DEPTH = 500;
+
+const sizeCache = new Map();
+
+/**
+ * Calculates the size of a directory without blocking the event loop.
+ * @param {string} directoryPath - The directory to measure.
+ * @param {number} [depth] - The current recursion depth.
+ * @returns {Promise<number>} The total size of the files in bytes.
+ */
+async function calculateDirectorySize(directoryPath, depth = 0) {
+  if (depth >= MAX_DEPTH) {
+    log.warn(`Maximum depth reached at ${directoryPath}`);
+    return 0;
+  }
+
+  let totalSize = 0;
+  const entries = await fs.readdir(directoryPath, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(directoryPath, entry.name);
+    if (entry.isDirectory()) {
+      totalSize += await calculateDirectorySize(entryPath, depth + 1);
+    } else if (entry.isFile()) {
+      totalSize += (await fs.stat(entryPath)).size;
+    }
+  }
+  return totalSize;
+}
+
+/**
+ * Returns the size of an instance volume, measured at most once per cache period.
+ * @param {string} volumeId - The volume ID.
+ * @param {boolean} [fresh] - Measure again even if a cached size exists.
+ * @returns {Promise<number>} The volume size in bytes.
+ */
+async function getVolumeSize(volumeId, fresh = false) {
+  const cached = sizeCache.get(volumeId);
+  if (!fresh && cached && Date.now() - cached.measuredAt < SIZE_CACHE_TTL) {
+    return cached.size;
+  }
+
+  const size = await calculateDirectorySize(path.join(VOLUMES_DIR, volumeId));
+  sizeCache.set(volumeId, { size, measuredAt: Date.now() });
+  return size;
+}
+
+/**
+ * Checks an instance volume against its disk quota.
+ * @param {string} volumeId - The volume ID, which is also the instance ID.
+ * @returns {Promise<{limit: number|null, used: number|null, exceeded: boolean}>} Sizes in bytes.
+ * `limit` is null when the instance has no quota.
+ */
+async function checkQuota(volumeId) {
+  const { DiskQuota } = await getInstanceSettings(volumeId);
+  if (!DiskQuota) {
+    return { limit: null, used: null, exceeded: false };
+  }
+
+  const limit = Number(DiskQuota) * MB;
+  try {
+    const used = await getVolumeSize(volumeId);
+    return { limit, used, exceeded: used >= limit };
+  } catch (err) {
+    if (err.code !== "ENOENT") log.error(`Failed to measure volume ${volumeId}: ${err.message}`);
+    return { limit, used: null, exceeded: false };
+  }
+}
+
+/**
+ * Express middleware that rejects writes to a volume that is over its disk quota.
+ * The volume ID is read from the `id` route parameter.
+ */
+async function enforceQuota(req, res, next) {
+  try {
+    const quota = await checkQuota(req.params.id);
+    if (quota.exceeded) {
+      return res.status(507).json({
+        message: "Disk quota exceeded",
+        used: quota.used,
+        limit: quota.limit,
+      });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { calculateDirectorySize, getVolumeSize, checkQuota, enforceQuota };
@@ -0,0 +1,179 @@
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+
+const limitConfig = config.ratelimit || {};
+
+const ENABLED = limitConfig.enabled !== false;
+const MAX_PER_ACCOUNT = limitConfig.maxAttempts || 5;
+const MAX_PER_IP = limitConfig.maxAttemptsPerIp || 20;
+const WINDOW = (limitConfig.window || 300) * 1000;
+const LOCKOUT = (limitConfig.lockout || 900) * 1000;
+// Addresses that are never locked out, e.g. the panel, so a misconfigured key cannot lock it out
+const EXEMPT_IPS = new Set(limitConfig.exemptIps || []);
+
+const HISTORY_LIMIT = 200;
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Failed attempts by key ("ip:<address>" or "account:<service>:<name>")
+const counters = new Map();
+// Active lockouts by key
+const lockouts = new Map();
+// Recent lockouts, newest last
+const history = [];
+let sweeper = null;
+
+/**
+ * Normalizes IPv4-mapped IPv6 addresses, so one client has one key.
+ * @param {string} ip - The address.
+ * @returns {string} The normalized address.
+ */
+function normalizeIp(ip) {
+  return String(ip || "unknown").replace(/^::ffff:/, "");
+}
+
+/**
+ * @param {Object} attempt
+ * @param {string} attempt.service - "http", "websocket" or "ftp".
+ * @param {string} [attempt.ip] - The source address.
+ * @param {string} [attempt.account] - The account the attempt was for, if it names one.
+ * @returns {Object[]} The keys of the attempt with their thresholds.
+ */
+function keysOf({ service, ip, account }) {
+  const keys = [];
+  const address = normalizeIp(ip);
+  if (!EXEMPT_IPS.has(address)) {
+    keys.push({ key: `ip:${address}`, max: MAX_PER_IP });
+    if (account) keys.push({ key: `account:${service}:${account}`, max: MAX_PER_ACCOUNT });
+  }
+  return keys;
+}
+
+/**
+ * Checks whether an attempt is locked out, by its IP or its account.
+ * @param {Object} attempt - See keysOf.
+ * @returns {Object|null} The lockout (`key`, `until`) or null if the attempt may go ahead.
+ */
+function getLockout(attempt) {
+  if (!ENABLED) return null;
+
+  const now = Date.now();
+  for (const { key } of keysOf(attempt)) {
+    const lockout = lockouts.get(key);
+    if (lockout && lockout.until > now) return lockout;
+  }
+  return null;
+}
+
+/**
+ * Counts a failed login, locking the IP or the account out once it reaches its threshold
+ * within the window.
+ * @param {Object} attempt - See keysOf.
+ * @returns {Object|null} The lockout this failure caused, if any.
+ */
+function recordFailure(attempt) {
+  if (!ENABLED) return null;
+
+  const now = Date.now();
+  let caused = null;
+  if (!sweeper) {
+    sweeper = setInterval(sweep, SWEEP_INTERVAL);
+    sweeper.unref();
+  }
+  for (const { key, max } of keysOf(attempt)) {
+    const counter = counters.get(key);
+    const current = counter && now - counter.since < WINDOW ? counter : { count: 0, since: now };
+    current.count += 1;
+    counters.set(key, current);
+
+    if (current.count >= max && !(lockouts.get(key) && lockouts.get(key).until > now)) {
+      const lockout = {
+        key,
+        service: attempt.service,
+        ip: normalizeIp(attempt.ip),
+        attempts: current.count,
+        lockedAt: new Date(now).toISOString(),
+        until: now + LOCKOUT,
+      };
+      lockouts.set(key, lockout);
+      counters.delete(key);
+      history.push(lockout);
+      if (history.length > HISTORY_LIMIT) history.shift();
+      log.warn(`Locked out ${key} for ${LOCKOUT / 1000}s after ${lockout.attempts} failed ${attempt.service} logins from ${lockout.ip}`);
+      caused = caused || lockout;
+    }
+  }
+  return caused;
+}
+
+/**
+ * Resets the failures of an account after a successful login. The failures of the IP are kept,
+ * so one valid account does not give an address unlimited guesses at others.
+ * @param {Object} attempt - See keysOf.
+ */
+function recordSuccess(attempt) {
+  if (!ENABLED || !attempt.account) return;
+  counters.delete(`account:${attempt.service}:${attempt.account}`);
+}
+
+/**
+ * Seconds until a lockout ends, for Retry-After headers.
+ * @param {Object} lockout - The lockout.
+ * @returns {number} The seconds left.
+ */
+function retryAfter(lockout) {
+  return Math.max(Math.ceil((lockout.until - Date.now()) / 1000), 1);
+}
+
+/**
+ * @param {Object} lockout - A lockout.
+ * @returns {Object} The lockout with `until` as an ISO date.
+ */
+function describe(lockout) {
+  return { ...lockout, until: new Date(lockout.until).toISOString() };
+}
+
+/**
+ * Lists the active lockouts and the recent ones.
+ * @returns {Object} The `active` lockouts and the `recent` ones, newest first.
+ */
+function listLockouts() {
+  const now = Date.now();
+  return {
+    active: [...lockouts.values()].filter((lockout) => lockout.until > now).map(describe),
+    recent: history.slice().reverse().map(describe),
+  };
+}
+
+/**
+ * Lifts a lockout early and forgets the failures of its key.
+ * @param {string} key - The key, e.g. "ip:203.0.113.7" or "account:ftp:user-abc".
+ * @returns {boolean} True if the key was locked out.
+ */
+function clearLockout(key) {
+  counters.delete(key);
+  const active = lockouts.has(key) && lockouts.get(key).until > Date.now();
+  lockouts.delete(key);
+  if (active) log.info(`Lockout of ${key} lifted`);
+  return active;
+}
+
+/**
+ * Forgets expired counters and lockouts, so the maps do not grow with every address ever seen.
+ * Runs while there is something to forget.
+ */
+function sweep() {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (now - counter.since >= WINDOW) counters.delete(key);
+  }
+  for (const [key, lockout] of lockouts) {
+    if (lockout.until <= now) lockouts.delete(key);
+  }
+  if (counters.size === 0 && lockouts.size === 0) {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+}
+
+module.exports = { getLockout, recordFailure, recordSuccess, retryAfter, listLockouts, clearLockout };
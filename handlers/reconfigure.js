@@ -0,0 +1,233 @@
+const Docker = require("dockerode");
+const path = require("path");
+const CatLoggr = require("cat-loggr");
+const { pullImage } = require("./seed.js");
+const { assignPorts, releasePorts, getInstancePorts, portsFromBindings } = require("./ports.js");
+const {
+  applyNetworking,
+  networkingFromLabels,
+  resolveNetworking,
+  validateNetworking,
+  removeNetworkIfUnused,
+} = require("./network.js");
+const { buildResourceLimits, splitLimitChanges, currentLimits } = require("./limits.js");
+const { saveInstanceSettings } = require("./instances.js");
+const { normalizeStopPolicy, gracefulStop } = require("./power.js");
+const { normalizeRestartPolicy } = require("./watchdog.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const NETWORK_FIELDS = ["NetworkMode", "Owner", "SharedNetwork"];
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Parses a Docker `Env` array into an object, splitting each entry at its first "=".
+ * @param {string[]} env - Entries in `KEY=value` form.
+ * @returns {Object} The variables.
+ */
+function parseEnv(env) {
+  const variables = {};
+  for (const entry of env || []) {
+    const index = entry.indexOf("=");
+    if (index === -1) {
+      variables[entry] = "";
+    } else {
+      variables[entry.slice(0, index)] = entry.slice(index + 1);
+    }
+  }
+  return variables;
+}
+
+/**
+ * Merges an env patch into an existing `Env` array. Variables set to null are removed.
+ * @param {string[]} existing - The current `Env` array.
+ * @param {Object|string[]} patch - The variables to change, as an object or a `KEY=value` array.
+ * @returns {string[]} The merged `Env` array.
+ */
+function mergeEnv(existing, patch) {
+  const variables = parseEnv(existing);
+  const changes = Array.isArray(patch) ? parseEnv(patch) : patch || {};
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete variables[key];
+    } else {
+      variables[key] = String(value);
+    }
+  }
+  return Object.entries(variables).map(([key, value]) => `${key}=${value}`);
+}
+
+/**
+ * Stores the per-instance settings a patch changes.
+ * @param {string} name - The instance ID.
+ * @param {Object} patch - The configuration changes.
+ */
+async function saveSettings(name, patch) {
+  if (patch.Disk !== undefined) {
+    await saveInstanceSettings(name, { DiskQuota: patch.Disk || null });
+  }
+  if (patch.StopPolicy !== undefined) {
+    await saveInstanceSettings(name, { StopPolicy: patch.StopPolicy });
+  }
+  if (patch.RestartPolicy !== undefined) {
+    await saveInstanceSettings(name, { RestartPolicy: patch.RestartPolicy });
+  }
+  if (patch.ShellAccess !== undefined) {
+    await saveInstanceSettings(name, { ShellAccess: patch.ShellAccess === null ? null : Boolean(patch.ShellAccess) });
+  }
+}
+
+/**
+ * Applies a partial configuration patch to an instance. The patch is merged with the current
+ * container config. Resource limits that Docker can update in place are applied to the running
+ * container; any other change recreates the container, which is restarted if it was running.
+ *
+ * Patch fields: `Env` (object or `KEY=value` array, null removes a variable), `Cmd`, `Image`,
+ * `PortBindings`, `Ports`, `VolumeId`, the limits of {@link buildResourceLimits}, `Disk`, and
+ * the networking fields `NetworkMode`, `Owner` and `SharedNetwork`, the `StopPolicy` of
+ * {@link gracefulStop}, the `RestartPolicy` of {@link normalizeRestartPolicy} and `ShellAccess`
+ * (whether shell sessions may be opened, null for the node default). `RegistryAuth` holds
+ * credentials for pulling a new image from a private registry.
+ *
+ * @param {string} id - The container ID or name.
+ * @param {Object} patch - The configuration changes.
+ * @param {Object} [options]
+ * @param {boolean} [options.start] - Start the recreated container even if it was not running.
+ * @returns {Promise<Object>} `containerId`, `changes` (the changed fields), `recreated`,
+ * `restartRequired` (whether the change needed the instance to restart) and `updated`
+ * (the limits applied in place).
+ * @throws {Error} With statusCode 400 for an invalid `Cmd`, limits, policies or networking, or 409
+ * for port conflicts.
+ */
+async function reconfigureInstance(id, patch, options = {}) {
+  const container = docker.getContainer(id);
+  const info = await container.inspect();
+  const name = info.Name.replace(/^\//, "");
+
+  const config = info.Config;
+  const hostConfig = info.HostConfig;
+  const wasRunning = info.State.Running;
+
+  if (patch.Cmd !== undefined && patch.Cmd !== null
+    && (!Array.isArray(patch.Cmd) || !patch.Cmd.every((arg) => typeof arg === "string"))) {
+    const err = new Error("Cmd must be an array of strings, or null for the default command of the image");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const image = patch.Image || config.Image;
+  const cmd = patch.Cmd !== undefined ? patch.Cmd : config.Cmd;
+  const env = patch.Env !== undefined ? mergeEnv(config.Env, patch.Env) : config.Env || [];
+  const exposedPorts = patch.Ports || config.ExposedPorts || {};
+  const portBindings = patch.PortBindings || hostConfig.PortBindings || {};
+  const binds = patch.VolumeId
+    ? [`${path.join(__dirname, "../volumes", patch.VolumeId)}:/app/data`]
+    : hostConfig.Binds;
+  const limits = buildResourceLimits(patch, hostConfig);
+  if (patch.StopPolicy) normalizeStopPolicy(patch.StopPolicy);
+  if (patch.RestartPolicy) normalizeRestartPolicy(patch.RestartPolicy);
+  const networking = resolveNetworking(name, patch, config.Labels);
+  validateNetworking(networking);
+  const existingNetworking = networkingFromLabels(config.Labels);
+
+  const { live, recreate } = splitLimitChanges(limits, hostConfig);
+  const changes = [
+    ...(image !== config.Image ? ["Image"] : []),
+    ...(!sameJson(cmd, config.Cmd) ? ["Cmd"] : []),
+    ...(!sameJson(env, config.Env || []) ? ["Env"] : []),
+    ...(!sameJson(exposedPorts, config.ExposedPorts || {}) ? ["Ports"] : []),
+    ...(!sameJson(portBindings, hostConfig.PortBindings || {}) ? ["PortBindings"] : []),
+    ...(!sameJson(binds, hostConfig.Binds) ? ["VolumeId"] : []),
+    ...NETWORK_FIELDS.filter((key) => networking[key] !== existingNetworking[key]),
+    ...Object.keys(recreate),
+  ];
+
+  const containerOptions = {
+    name,
+    Image: image,
+    ExposedPorts: exposedPorts,
+    Cmd: cmd,
+    Env: env,
+    Labels: config.Labels || {},
+    AttachStdout: true,
+    AttachStderr: true,
+    AttachStdin: true,
+    Tty: true,
+    OpenStdin: true,
+    HostConfig: {
+      PortBindings: portBindings,
+      Binds: binds,
+      ...currentLimits(hostConfig),
+      ...limits,
+    },
+  };
+
+  // Check the ports before the container is touched. They are given back if no new container is created.
+  const previousPorts = await getInstancePorts(name);
+  await assignPorts(name, portsFromBindings(portBindings));
+  let removed = false;
+  let newContainer = null;
+
+  try {
+    if (changes.length === 0) {
+      if (Object.keys(live).length > 0) {
+        await container.update(live);
+        log.info(`Updated limits of ${name} in place`);
+      }
+    } else {
+      log.info(`Recreating ${name} for changes to ${changes.join(", ")}`);
+      if (image !== config.Image) {
+        await pullImage(image, undefined, patch.RegistryAuth);
+      }
+
+      if (wasRunning) {
+        await gracefulStop(name);
+      }
+
+      await applyNetworking(containerOptions, networking);
+      await container.remove();
+      removed = true;
+      newContainer = await docker.createContainer(containerOptions);
+    }
+  } catch (err) {
+    // Without a container the instance holds no ports; otherwise it keeps the ones it had
+    await (removed ? releasePorts(name) : assignPorts(name, previousPorts)).catch((portErr) => {
+      log.error(`Failed to restore the ports of ${name}:`, portErr);
+    });
+    throw err;
+  }
+
+  // Settings are only stored once the change they belong to has been applied
+  await saveSettings(name, patch);
+
+  if (!newContainer) {
+    return {
+      containerId: info.Id,
+      changes: Object.keys(live),
+      recreated: false,
+      restartRequired: false,
+      updated: live,
+    };
+  }
+
+  if (containerOptions.HostConfig.NetworkMode !== hostConfig.NetworkMode) {
+    await removeNetworkIfUnused(hostConfig.NetworkMode);
+  }
+
+  if (wasRunning || options.start) {
+    await newContainer.start();
+  }
+
+  return {
+    containerId: newContainer.id,
+    changes: [...changes, ...Object.keys(live)],
+    recreated: true,
+    restartRequired: wasRunning,
+    updated: {},
+  };
+}
+
+module.exports = { reconfigureInstance, mergeEnv };
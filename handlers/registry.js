@@ -0,0 +1,66 @@
+const config = require("../config.json");
+const { REGISTRY_SECRETS, decryptSecret } = require("./secrets.js");
+
+const DEFAULT_REGISTRY = "docker.io";
+const DOCKER_HUB_ADDRESS = "https://index.docker.io/v1/";
+
+/**
+ * Extracts the registry host from an image reference. References without a host, such as
+ * "nginx" or "library/nginx:latest", belong to Docker Hub.
+ * @param {string} image - The image reference.
+ * @returns {string} The registry host, including the port if one is given.
+ */
+function registryHost(image) {
+  const [first, ...rest] = String(image).split("/");
+  if (rest.length > 0 && (first.includes(".") || first.includes(":") || first === "localhost")) {
+    return first.toLowerCase();
+  }
+  return DEFAULT_REGISTRY;
+}
+
+/**
+ * Converts credentials into the auth config Docker expects.
+ * @param {Object} credentials - `username` and `password`, or an `identitytoken`.
+ * @param {string} host - The registry host.
+ * @returns {Object} The auth config.
+ */
+function toAuthConfig(credentials, host) {
+  const serveraddress = credentials.serveraddress || (host === DEFAULT_REGISTRY ? DOCKER_HUB_ADDRESS : host);
+  if (credentials.identitytoken) {
+    return { identitytoken: credentials.identitytoken, serveraddress };
+  }
+  return { username: credentials.username, password: credentials.password, serveraddress };
+}
+
+/**
+ * Finds the credentials to pull an image with. Credentials sent with a deployment win over
+ * the ones configured for the registry host in config.json.
+ * @param {string} image - The image reference.
+ * @param {Object} [override] - Per-deployment credentials (`username`/`password` or `identitytoken`).
+ * @returns {Object|null} The Docker auth config, or null to pull anonymously.
+ */
+function resolveAuth(image, override) {
+  const host = registryHost(image);
+  if (override && (override.username || override.identitytoken)) {
+    return toAuthConfig(override, host);
+  }
+
+  const registries = config.registries || {};
+  const credentials = registries[host] || (host === DEFAULT_REGISTRY && registries["index.docker.io"]);
+  return credentials ? toAuthConfig(decryptCredentials(credentials), host) : null;
+}
+
+/**
+ * Decrypts the secrets of configured registry credentials; see handlers/secrets.js.
+ * @param {Object} credentials - The credentials from config.json.
+ * @returns {Object} The credentials with their secrets in plaintext.
+ */
+function decryptCredentials(credentials) {
+  const decrypted = { ...credentials };
+  for (const field of REGISTRY_SECRETS) {
+    if (decrypted[field]) decrypted[field] = decryptSecret(decrypted[field]);
+  }
+  return decrypted;
+}
+
+module.exports = { registryHost, resolveAuth };
@@ -0,0 +1,355 @@
+const crypto = require("crypto");
+const Docker = require("dockerode");
+const CatLoggr = require("cat-loggr");
+const { db, update } = require("./db.js");
+const { parseCron, nextRun } = require("./cron.js");
+const { POWER_ACTIONS, runPowerAction } = require("./power.js");
+const { sendCommand } = require("./console.js");
+const { createArchive } = require("./archives.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const TASK_ACTIONS = ["power", "command", "backup"];
+const MAX_TASKS = 20;
+const MAX_DELAY = 24 * 60 * 60;
+
+// Instances that have schedules, so the ticker does not have to scan the whole store
+const INDEX_KEY = "schedules:instances";
+const schedulesKey = (id) => `schedules:${id}`;
+
+const running = new Set();
+let ticker = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Builds a validation error.
+ * @param {string} message - What is wrong.
+ * @returns {Error} The error, with statusCode 400.
+ */
+function validationError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Validates the tasks of a schedule.
+ * @param {Array} tasks - Tasks of the form `{ action, payload, delay, continueOnFailure }`. `action`
+ * is "power" (payload: start, stop, restart or kill), "command" (payload: the console command) or
+ * "backup" (no payload). `delay` is the number of seconds to wait before the task runs.
+ * @returns {Object[]} The normalized tasks.
+ */
+function normalizeTasks(tasks) {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    throw validationError("tasks must be a non-empty array");
+  }
+  if (tasks.length > MAX_TASKS) {
+    throw validationError(`A schedule can have at most ${MAX_TASKS} tasks`);
+  }
+
+  return tasks.map((task, index) => {
+    const { action, payload, delay: rawDelay, continueOnFailure } = task || {};
+    const delay = Number(rawDelay || 0);
+
+    if (!TASK_ACTIONS.includes(action)) {
+      throw validationError(`tasks[${index}].action must be one of ${TASK_ACTIONS.join(", ")}`);
+    }
+    if (action === "power" && !POWER_ACTIONS.includes(payload)) {
+      throw validationError(`tasks[${index}].payload must be one of ${POWER_ACTIONS.join(", ")}`);
+    }
+    if (action === "command" && (typeof payload !== "string" || !payload.trim())) {
+      throw validationError(`tasks[${index}].payload must be the command to send`);
+    }
+    if (!Number.isFinite(delay) || delay < 0 || delay > MAX_DELAY) {
+      throw validationError(`tasks[${index}].delay must be between 0 and ${MAX_DELAY} seconds`);
+    }
+
+    return {
+      action,
+      payload: action === "backup" ? null : payload,
+      delay,
+      continueOnFailure: Boolean(continueOnFailure),
+    };
+  });
+}
+
+/**
+ * Applies fields from a request body to a schedule, validating them.
+ * @param {Object} schedule - The schedule to change.
+ * @param {Object} fields - `name`, `cron`, `tasks`, `enabled` and `onlyWhenRunning`.
+ * @returns {Object} The changed schedule.
+ */
+function applyFields(schedule, fields) {
+  const next = { ...schedule };
+
+  if (fields.name !== undefined) next.name = String(fields.name).slice(0, 100);
+  if (fields.cron !== undefined) {
+    parseCron(fields.cron);
+    next.cron = fields.cron.trim();
+  }
+  if (fields.tasks !== undefined) next.tasks = normalizeTasks(fields.tasks);
+  if (fields.enabled !== undefined) next.enabled = Boolean(fields.enabled);
+  if (fields.onlyWhenRunning !== undefined) next.onlyWhenRunning = Boolean(fields.onlyWhenRunning);
+
+  if (!next.cron) throw validationError("cron is required");
+  if (!next.tasks) throw validationError("tasks is required");
+
+  const upcoming = nextRun(next.cron);
+  next.nextRunAt = next.enabled && upcoming ? upcoming.toISOString() : null;
+  next.updatedAt = new Date().toISOString();
+  return next;
+}
+
+/**
+ * Builds a not found error for a schedule.
+ * @param {string} scheduleId - The schedule ID.
+ * @returns {Error} The error, with statusCode 404.
+ */
+function notFound(scheduleId) {
+  const err = new Error(`Schedule ${scheduleId} not found`);
+  err.statusCode = 404;
+  return err;
+}
+
+/**
+ * @param {string} id - The instance ID.
+ * @returns {Promise<Object[]>} The schedules of the instance.
+ */
+async function listSchedules(id) {
+  return (await db.get(schedulesKey(id))) || [];
+}
+
+/**
+ * @param {string} id - The instance ID.
+ * @param {string} scheduleId - The schedule ID.
+ * @returns {Promise<Object>} The schedule.
+ * @throws {Error} With statusCode 404 if the schedule does not exist.
+ */
+async function getSchedule(id, scheduleId) {
+  const schedule = (await listSchedules(id)).find((s) => s.id === scheduleId);
+  if (!schedule) throw notFound(scheduleId);
+  return schedule;
+}
+
+/**
+ * Creates a schedule for an instance.
+ * @param {string} id - The instance ID.
+ * @param {Object} fields - `name`, `cron`, `tasks`, and optionally `enabled` (default true) and
+ * `onlyWhenRunning` (skip runs while the instance is offline, default false).
+ * @returns {Promise<Object>} The created schedule.
+ * @throws {Error} With statusCode 400 if a field is invalid.
+ */
+async function createSchedule(id, fields) {
+  const schedule = applyFields(
+    {
+      id: crypto.randomUUID(),
+      instance: id,
+      name: "",
+      enabled: true,
+      onlyWhenRunning: false,
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      lastResult: null,
+    },
+    fields
+  );
+
+  await update(schedulesKey(id), (schedules = []) => [...schedules, schedule]);
+  await update(INDEX_KEY, (ids = []) => (ids.includes(id) ? undefined : [...ids, id]));
+  return schedule;
+}
+
+/**
+ * Changes fields of a schedule.
+ * @param {string} id - The instance ID.
+ * @param {string} scheduleId - The schedule ID.
+ * @param {Object} fields - The fields to change, as for {@link createSchedule}.
+ * @returns {Promise<Object>} The updated schedule.
+ * @throws {Error} With statusCode 400 if a field is invalid or 404 if the schedule does not exist.
+ */
+async function updateSchedule(id, scheduleId, fields) {
+  let updated;
+  await update(schedulesKey(id), (schedules = []) => {
+    const index = schedules.findIndex((s) => s.id === scheduleId);
+    if (index === -1) throw notFound(scheduleId);
+
+    updated = applyFields(schedules[index], fields);
+    return schedules.map((s, i) => (i === index ? updated : s));
+  });
+  return updated;
+}
+
+/**
+ * Deletes a schedule.
+ * @param {string} id - The instance ID.
+ * @param {string} scheduleId - The schedule ID.
+ * @throws {Error} With statusCode 404 if the schedule does not exist.
+ */
+async function deleteSchedule(id, scheduleId) {
+  await update(schedulesKey(id), (schedules = []) => {
+    if (!schedules.some((s) => s.id === scheduleId)) throw notFound(scheduleId);
+    return schedules.filter((s) => s.id !== scheduleId);
+  });
+}
+
+/**
+ * Deletes every schedule of a removed instance.
+ * @param {string} id - The instance ID.
+ */
+async function deleteSchedules(id) {
+  await db.delete(schedulesKey(id));
+  await update(INDEX_KEY, (ids = []) => (ids.includes(id) ? ids.filter((i) => i !== id) : undefined));
+}
+
+/**
+ * Stores the outcome of a run on its schedule, unless the schedule was deleted meanwhile.
+ * @param {string} id - The instance ID.
+ * @param {string} scheduleId - The schedule ID.
+ * @param {Object} patch - The fields to store.
+ */
+async function saveRun(id, scheduleId, patch) {
+  await update(schedulesKey(id), (schedules = []) =>
+    schedules.some((s) => s.id === scheduleId)
+      ? schedules.map((s) => (s.id === scheduleId ? { ...s, ...patch } : s))
+      : undefined
+  );
+}
+
+/**
+ * Runs one task of a schedule.
+ * @param {string} id - The instance ID.
+ * @param {Object} task - The task.
+ * @returns {Promise<Object>} Details of the task outcome.
+ */
+async function runTask(id, task) {
+  switch (task.action) {
+    case "power":
+      return runPowerAction(id, task.payload);
+    case "command":
+      await sendCommand(id, task.payload);
+      return {};
+    case "backup":
+      return createArchive(id, id);
+  }
+}
+
+/**
+ * @param {string} scheduleId - The schedule ID.
+ * @returns {boolean} True if the schedule is running right now.
+ */
+function isScheduleRunning(scheduleId) {
+  return running.has(scheduleId);
+}
+
+/**
+ * Runs the tasks of a schedule in order, waiting for the delay of each task before it starts.
+ * A failed task ends the run unless it is marked `continueOnFailure`.
+ * @param {string} id - The instance ID.
+ * @param {string} scheduleId - The schedule ID.
+ * @returns {Promise<Object>} The run result: `startedAt`, `finishedAt`, `success` and per-task `tasks`.
+ * @throws {Error} With statusCode 404 if the schedule does not exist or 409 if it is already running.
+ */
+async function runSchedule(id, scheduleId) {
+  const schedule = await getSchedule(id, scheduleId);
+  if (running.has(scheduleId)) {
+    const err = new Error(`Schedule ${scheduleId} is already running`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  running.add(scheduleId);
+  const result = { startedAt: new Date().toISOString(), finishedAt: null, success: true, tasks: [] };
+  await saveRun(id, scheduleId, { lastRunAt: result.startedAt });
+  log.info(`Running schedule ${schedule.name || scheduleId} of ${id}`);
+
+  try {
+    for (const task of schedule.tasks) {
+      if (task.delay > 0) await sleep(task.delay * 1000);
+
+      try {
+        const details = await runTask(id, task);
+        result.tasks.push({ action: task.action, payload: task.payload, success: true, ...details });
+      } catch (err) {
+        log.error(`Task ${task.action} of schedule ${scheduleId} failed: ${err.message}`);
+        result.tasks.push({ action: task.action, payload: task.payload, success: false, error: err.message });
+        result.success = false;
+        if (!task.continueOnFailure) break;
+      }
+    }
+  } finally {
+    running.delete(scheduleId);
+    result.finishedAt = new Date().toISOString();
+    await saveRun(id, scheduleId, { lastResult: result });
+  }
+
+  return result;
+}
+
+/**
+ * @param {string} id - The instance ID.
+ * @returns {Promise<boolean>} True if the instance container exists and is running.
+ */
+async function isRunning(id) {
+  try {
+    return (await docker.getContainer(id).inspect()).State.Running;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Starts the schedules that are due and moves them to their next run.
+ */
+async function tick() {
+  const now = new Date();
+  const ids = (await db.get(INDEX_KEY)) || [];
+
+  for (const id of ids) {
+    for (const schedule of await listSchedules(id)) {
+      if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) continue;
+
+      const next = nextRun(schedule.cron, now);
+      await saveRun(id, schedule.id, { nextRunAt: next ? next.toISOString() : null });
+
+      if (schedule.onlyWhenRunning && !(await isRunning(id))) {
+        log.info(`Skipping schedule ${schedule.name || schedule.id} of ${id}, the instance is offline`);
+        continue;
+      }
+
+      runSchedule(id, schedule.id).catch((err) => {
+        log.error(`Schedule ${schedule.id} of ${id} failed:`, err.message);
+      });
+    }
+  }
+}
+
+/**
+ * Starts the scheduler, which checks for due schedules at the start of every minute.
+ * Schedules missed while the daemon was down are run once on startup.
+ */
+function startScheduler() {
+  if (ticker) return;
+
+  const run = () => tick().catch((err) => log.error("Scheduler tick failed:", err));
+  const untilNextMinute = 60000 - (Date.now() % 60000);
+
+  ticker = setTimeout(() => {
+    run();
+    ticker = setInterval(run, 60000);
+  }, untilNextMinute);
+  run();
+}
+
+module.exports = {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  deleteSchedules,
+  runSchedule,
+  isScheduleRunning,
+  startScheduler,
+};
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../config.json");
+
+const secretsConfig = config.secrets || {};
+
+// Encrypted values are stored in place of the plaintext as "enc:v1:<iv>:<tag>:<ciphertext>"
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const KEY_ENV = "VORTEX_SECRET_KEY";
+const KEY_FILE = path.resolve(__dirname, "..", secretsConfig.keyFile || "secrets.key");
+
+// Config values that are secrets, by path
+const CONFIG_SECRETS = ["key", "mysql.password"];
+// Fields of the registry credentials in config.registries that are secrets
+const REGISTRY_SECRETS = ["password", "identitytoken"];
+const REDACTED = "[redacted]";
+
+let cachedKey;
+const knownSecrets = new Set();
+// Decrypted config values by their stored value, so requests do not decrypt the node key each time
+const decrypted = new Map();
+
+/**
+ * Turns the text of the environment variable or key file into a 256-bit key. 64 hex characters
+ * or 44 base64 characters are used as is; anything else is treated as a passphrase.
+ * @param {string} text - The key text.
+ * @returns {Buffer} The key.
+ */
+function parseKey(text) {
+  const value = text.trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, "hex");
+  const decoded = Buffer.from(value, "base64");
+  if (decoded.length === 32 && /^[A-Za-z0-9+/]{43}=$/.test(value)) return decoded;
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+/**
+ * Returns the encryption key, from the VORTEX_SECRET_KEY environment variable or the key file.
+ * @returns {Buffer|null} The key, or null if there is none.
+ */
+function getKey() {
+  if (cachedKey !== undefined) return cachedKey;
+
+  if (process.env[KEY_ENV]) {
+    cachedKey = parseKey(process.env[KEY_ENV]);
+  } else if (fs.existsSync(KEY_FILE)) {
+    cachedKey = parseKey(fs.readFileSync(KEY_FILE, "utf8"));
+  } else {
+    cachedKey = null;
+  }
+  return cachedKey;
+}
+
+/**
+ * Creates the key file with a random key, unless a key is already available.
+ * @returns {boolean} True if a key file was created.
+ */
+function ensureKey() {
+  if (getKey()) return false;
+
+  fs.writeFileSync(KEY_FILE, crypto.randomBytes(32).toString("hex") + "\n", { mode: 0o600 });
+  cachedKey = undefined;
+  getKey();
+  return true;
+}
+
+/**
+ * @param {*} value - A stored value.
+ * @returns {boolean} True if the value is encrypted.
+ */
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a secret with AES-256-GCM.
+ * @param {string} plaintext - The secret.
+ * @returns {string} The value to store.
+ * @throws {Error} If there is no key.
+ */
+function encryptSecret(plaintext) {
+  const key = getKey();
+  if (!key) throw new Error(`No secret key: set ${KEY_ENV} or create ${KEY_FILE}`);
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64")).join(":");
+}
+
+/**
+ * Decrypts a stored value. Plaintext values are returned as they are, so nodes that have not
+ * migrated keep working.
+ * @param {string} value - The stored value.
+ * @returns {string} The secret.
+ * @throws {Error} If the value is encrypted and there is no key or the key is wrong.
+ */
+function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const key = getKey();
+  if (!key) throw new Error(`Encrypted secret found but no secret key: set ${KEY_ENV} or create ${KEY_FILE}`);
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(":").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Encrypts a secret if a key is available, so new secrets are only written in plaintext on
+ * nodes without a key.
+ * @param {string} plaintext - The secret.
+ * @returns {string} The value to store.
+ */
+function protectSecret(plaintext) {
+  return getKey() ? encryptSecret(plaintext) : plaintext;
+}
+
+/**
+ * Adds a value to the secrets that redact() masks.
+ * @param {string} secret - The secret.
+ */
+function registerSecret(secret) {
+  // Short values would mask unrelated text
+  if (typeof secret === "string" && secret.length >= 6) knownSecrets.add(secret);
+}
+
+/**
+ * Lists the paths of the secrets in a config: CONFIG_SECRETS and the registry credentials.
+ * Paths are arrays, as registry hosts contain dots.
+ * @param {Object} [source] - The config (default config.json as loaded).
+ * @returns {string[][]} The paths of the secrets that are set.
+ */
+function configSecretPaths(source = config) {
+  const registries = Object.entries(source.registries || {}).flatMap(([host, credentials]) =>
+    REGISTRY_SECRETS.filter((field) => credentials && credentials[field]).map((field) => ["registries", host, field])
+  );
+  return [...CONFIG_SECRETS.map((name) => name.split(".")), ...registries];
+}
+
+/**
+ * Returns a secret from config.json, decrypted.
+ * @param {string|string[]} name - Its path in the config, e.g. "key" or "mysql.password".
+ * @returns {string} The secret.
+ */
+function getConfigSecret(name) {
+  const parts = Array.isArray(name) ? name : name.split(".");
+  const value = parts.reduce((object, part) => (object ? object[part] : undefined), config);
+  if (!decrypted.has(value)) {
+    const secret = decryptSecret(value);
+    registerSecret(secret);
+    decrypted.set(value, secret);
+  }
+  return decrypted.get(value);
+}
+
+/**
+ * Masks every known secret in a text.
+ * @param {string} text - The text.
+ * @returns {string} The text with secrets replaced by "[redacted]".
+ */
+function redact(text) {
+  let result = text;
+  for (const secret of knownSecrets) {
+    if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+/**
+ * Masks known secrets in everything written to stdout and stderr, which covers the daemon log
+ * and console output of every module.
+ */
+function installLogRedaction() {
+  for (const parts of configSecretPaths()) {
+    getConfigSecret(parts);
+  }
+
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = stream.write.bind(stream);
+    stream.write = (chunk, ...args) => {
+      if (knownSecrets.size === 0) return write(chunk, ...args);
+      if (typeof chunk === "string") return write(redact(chunk), ...args);
+      if (Buffer.isBuffer(chunk)) return write(redact(chunk.toString("utf8")), ...args);
+      return write(chunk, ...args);
+    };
+  }
+}
+
+module.exports = {
+  CONFIG_SECRETS,
+  REGISTRY_SECRETS,
+  REDACTED,
+  KEY_ENV,
+  KEY_FILE,
+  getKey,
+  ensureKey,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  protectSecret,
+  registerSecret,
+  configSecretPaths,
+  getConfigSecret,
+  redact,
+  installLogRedaction,
+};
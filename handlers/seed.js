@@ -3,51 +3,109 @@ const Docker = require("dockerode");
 const config = require("../config.json");
 const CatLoggr = require("cat-loggr");
 const { createVolumesFolder } = require("./init.js");
+const { migrateLegacyStates } = require("./state.js");
+const { resolveAuth } = require("./registry.js");
 const log = new CatLoggr();
 
 // Initialize Docker connection
 const docker = new Docker({ socketPath: process.env.dockerSocket });
 
-function seed() {
+async function seed() {
   createVolumesFolder();
+  await migrateLegacyStates();
 }
 
-async function pullImage(image) {
+/**
+ * Pulls a Docker image, authenticating with the credentials configured for its registry.
+ * @param {string} image - The image reference.
+ * @param {Function} [onProgress] - Called with `{ layer, status, current, total, percent }` for every layer update.
+ * @param {Object} [registryAuth] - Per-deployment registry credentials, used instead of the configured ones.
+ * @returns {Promise<void>}
+ */
+async function pullImage(image, onProgress, registryAuth) {
   return new Promise((resolve, reject) => {
     log.init(`Pulling image ${image}`);
-    docker.pull(image, (err, stream) => {
+
+    // The auth config is passed to Docker only and never logged
+    const authconfig = resolveAuth(image, registryAuth);
+    const pullOptions = authconfig ? { authconfig } : {};
+
+    docker.pull(image, pullOptions, (err, stream) => {
       if (err) {
         log.error(`Error while pulling ${image}: ${err.message}`);
         return reject(new Error(`Error pulling image: ${err.message}`));
       }
 
       let progress = 0;
+      let pullError = null;
+      const layers = {};
 
-      // Listen for stream events
-      stream.on("data", (data) => {
-        try {
-          const progressData = JSON.parse(data.toString());
-
-          // Check if there's progress info (such as status or progress)
-          if (
-            progressData.progressDetail &&
-            progressData.progressDetail.current
-          ) {
-            const percent =
-              (progressData.progressDetail.current /
-                progressData.progressDetail.total) *
-              100;
-            if (percent > progress) {
-              progress = percent;
-              log.info(`Pulling ${image}: ${Math.round(progress)}%`);
-            }
+      const handleProgress = (progressData) => {
+        // Docker reports failures such as missing tags inside the stream
+        if (progressData.error) {
+          pullError = progressData.error;
+          return;
+        }
+
+        if (onProgress && progressData.id && progressData.status) {
+          const { current, total } = progressData.progressDetail || {};
+          const percent = current && total ? Math.round((current / total) * 100) : null;
+          const previous = layers[progressData.id];
+
+          // Only report a layer when its status or whole percentage changes
+          if (!previous || previous.status !== progressData.status || previous.percent !== percent) {
+            layers[progressData.id] = { status: progressData.status, percent };
+            onProgress({
+              layer: progressData.id,
+              status: progressData.status,
+              current: current || null,
+              total: total || null,
+              percent,
+            });
+          }
+        }
+
+        // Check if there's progress info (such as status or progress)
+        if (
+          progressData.progressDetail &&
+          progressData.progressDetail.current
+        ) {
+          const percent =
+            (progressData.progressDetail.current /
+              progressData.progressDetail.total) *
+            100;
+          if (percent > progress) {
+            progress = percent;
+            log.info(`Pulling ${image}: ${Math.round(progress)}%`);
           }
+        }
+      };
+
+      const handleLine = (line) => {
+        if (!line.trim()) return;
+        try {
+          handleProgress(JSON.parse(line));
         } catch (parseError) {
           log.error("Error parsing progress data");
         }
+      };
+
+      // Listen for stream events. A chunk can hold several newline separated messages and
+      // end partway through one, so the unfinished line is kept for the next chunk.
+      let buffer = "";
+      stream.on("data", (data) => {
+        buffer += data.toString();
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(handleLine);
       });
 
       stream.on("end", () => {
+        handleLine(buffer);
+        if (pullError) {
+          log.error(`Error while pulling ${image}: ${pullError}`);
+          return reject(new Error(`Error pulling image: ${pullError}`));
+        }
         log.info(`Successfully pulled ${image}`);
         resolve();
       });
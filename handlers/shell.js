@@ -0,0 +1,64 @@
+const Docker = require("dockerode");
+const config = require("../config.json");
+const { getInstanceSettings } = require("./instances.js");
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const shellConfig = config.shell || {};
+
+// bash when the image has it, sh otherwise
+const SHELL_COMMAND = ["/bin/sh", "-c", "if command -v bash >/dev/null 2>&1; then exec bash; else exec sh; fi"];
+
+/**
+ * Checks whether shell sessions are allowed for an instance. The node-wide `shell.enabled`
+ * switch turns them off everywhere; otherwise the instance's `ShellAccess` setting decides,
+ * falling back to `shell.defaultAccess`.
+ * @param {string} id - The instance ID.
+ * @returns {Promise<boolean>} True if a shell may be opened.
+ */
+async function isShellAllowed(id) {
+  if (shellConfig.enabled === false) return false;
+
+  const { ShellAccess } = await getInstanceSettings(id);
+  if (ShellAccess !== undefined) return Boolean(ShellAccess);
+  return shellConfig.defaultAccess !== undefined ? Boolean(shellConfig.defaultAccess) : true;
+}
+
+/**
+ * Opens an interactive shell in a running container.
+ * @param {string} id - The container ID or name.
+ * @param {Object} [size] - The initial terminal size, `{ cols, rows }`.
+ * @returns {Promise<Object>} The `exec` instance and its bidirectional `stream`.
+ */
+async function openShell(id, size = {}) {
+  const container = docker.getContainer(id);
+  const exec = await container.exec({
+    Cmd: SHELL_COMMAND,
+    AttachStdin: true,
+    AttachStdout: true,
+    AttachStderr: true,
+    Tty: true,
+    Env: ["TERM=xterm-256color"],
+  });
+
+  const stream = await exec.start({ hijack: true, stdin: true, Tty: true });
+  if (size.cols && size.rows) {
+    await resizeShell(exec, size.cols, size.rows);
+  }
+  return { exec, stream };
+}
+
+/**
+ * Resizes the terminal of a shell session.
+ * @param {Object} exec - The exec instance of the session.
+ * @param {number} cols - The number of columns.
+ * @param {number} rows - The number of rows.
+ */
+async function resizeShell(exec, cols, rows) {
+  const w = parseInt(cols, 10);
+  const h = parseInt(rows, 10);
+  if (!(w > 0 && w <= 1000 && h > 0 && h <= 1000)) return;
+  await exec.resize({ w, h });
+}
+
+module.exports = { isShellAllowed, openShell, resizeShell };
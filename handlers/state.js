@@ -0,0 +1,178 @@
+const fs = require("fs").promises;
+const { EventEmitter } = require("events");
+const path = require("path");
+const CatLoggr = require("cat-loggr");
+const { db, update } = require("./db.js");
+const log = new CatLoggr();
+
+// Instances tracked before the move to SQLite kept their state here
+const LEGACY_STATES_FILE = path.resolve(__dirname, "../states.json");
+
+// Number of transitions kept per instance
+const HISTORY_LIMIT = 200;
+
+const stateKey = (id) => `state:${id}`;
+
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+/**
+ * Publishes the latest transition of a record to the state listeners.
+ * @param {Object} record - The updated state record.
+ */
+function publishTransition(record) {
+  changes.emit("change", { id: record.Id, ...record.history[record.history.length - 1] });
+}
+
+/**
+ * Subscribes to state changes of every instance.
+ * @param {Function} listener - Called with `{ id, timestamp, from, to, reason, error }`.
+ * @returns {Function} Unsubscribes the listener.
+ */
+function subscribeStates(listener) {
+  changes.on("change", listener);
+  return () => changes.off("change", listener);
+}
+
+/**
+ * Builds a transition entry for the history timeline.
+ * @param {string|null} from - The previous state, or null for a new instance.
+ * @param {string} to - The new state.
+ * @param {Object} [details] - Optional reason and error for the transition.
+ * @returns {Object} The transition entry.
+ */
+function createTransition(from, to, details = {}) {
+  const { reason, error } = details;
+  return {
+    timestamp: new Date().toISOString(),
+    from,
+    to,
+    reason: reason || null,
+    error: error ? error.message || String(error) : null,
+  };
+}
+
+/**
+ * Applies a transition to a stored state record, keeping the history bounded.
+ * @param {Object|undefined} record - The current record.
+ * @param {string} id - The instance ID.
+ * @param {string} state - The new state.
+ * @param {Object} [details] - Optional reason and error for the transition.
+ * @returns {Object} The updated record.
+ */
+function applyTransition(record, id, state, details) {
+  const current = record || { Id: id, State: null, history: [] };
+  const transition = createTransition(current.State, state, details);
+
+  current.history = [...current.history, transition].slice(-HISTORY_LIMIT);
+  current.State = state;
+  current.updatedAt = transition.timestamp;
+  return current;
+}
+
+/**
+ * Sets the state of an instance, creating its record if it does not exist yet.
+ * @param {string} id - The instance ID.
+ * @param {string} state - The new state.
+ * @param {Object} [details] - Optional `reason` and `error` to record with the transition.
+ */
+async function setState(id, state, details) {
+  try {
+    publishTransition(await update(stateKey(id), (record) => applyTransition(record, id, state, details)));
+    log.info(`State set successfully for ${id} to ${state}`);
+  } catch (error) {
+    log.error("Error setting state:", error);
+    throw error;
+  }
+}
+
+/**
+ * Updates the state of an existing instance.
+ * @param {string} id - The instance ID.
+ * @param {string} state - The new state.
+ * @param {Object} [details] - Optional `reason` and `error` to record with the transition.
+ * @throws {Error} If the instance has no state record.
+ */
+async function setStateValue(id, state, details) {
+  const record = await update(stateKey(id), (record) => {
+    if (!record) {
+      throw new Error(`ID ${id} not found.`);
+    }
+    return applyTransition(record, id, state, details);
+  });
+  publishTransition(record);
+  log.info(`State updated for ${id} to ${state}`);
+}
+
+/**
+ * Moves a tracked instance to a new state unless it is already in it. Instances without a
+ * state record are not created, so containers the daemon does not manage are left alone.
+ * @param {string} id - The instance ID.
+ * @param {string} state - The new state.
+ * @param {Object} [details] - Optional `reason` and `error` to record with the transition.
+ * @returns {Promise<boolean>} True if the state changed.
+ */
+async function syncState(id, state, details) {
+  const record = await update(stateKey(id), (record) =>
+    record && record.State !== state ? applyTransition(record, id, state, details) : undefined
+  );
+  if (!record) return false;
+
+  publishTransition(record);
+  log.info(`State of ${id} synced to ${state}`);
+  return true;
+}
+
+/**
+ * @param {string} id - The instance ID.
+ * @returns {Promise<string|null>} The current state, or null if the instance is unknown.
+ */
+async function getState(id) {
+  const record = await db.get(stateKey(id));
+  return record ? record.State : null;
+}
+
+/**
+ * @param {string} id - The instance ID.
+ * @returns {Promise<Array|null>} The transition timeline, oldest first, or null if the instance is unknown.
+ */
+async function getStateHistory(id) {
+  const record = await db.get(stateKey(id));
+  return record ? record.history : null;
+}
+
+/**
+ * Imports states from the legacy states.json file into the database. Instances that already
+ * have a record are left alone. The file is renamed afterwards so the import only runs once.
+ */
+async function migrateLegacyStates() {
+  let entries;
+  try {
+    entries = JSON.parse(await fs.readFile(LEGACY_STATES_FILE, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      log.error("Error reading legacy states file:", error);
+    }
+    return;
+  }
+
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    if (!entry || !entry.Id || !entry.State) continue;
+    await update(stateKey(entry.Id), (record) =>
+      record ? undefined : applyTransition(record, entry.Id, entry.State, { reason: "Imported from states.json" })
+    );
+  }
+
+  await fs.rename(LEGACY_STATES_FILE, `${LEGACY_STATES_FILE}.migrated`);
+  log.init("legacy states.json imported into the database");
+}
+
+module.exports = {
+  setState,
+  setStateValue,
+  syncState,
+  getState,
+  getStateHistory,
+  subscribeStates,
+  migrateLegacyStates,
+};
@@ -0,0 +1,183 @@
+const Docker = require("dockerode");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { getVolumeSize } = require("./quota.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const statsConfig = config.stats || {};
+const INTERVAL = (statsConfig.interval || 2) * 1000;
+const VOLUME_INTERVAL = (statsConfig.volumeInterval || 60) * 1000;
+
+// One sampler per instance, shared by everyone watching it
+const samplers = new Map();
+
+/**
+ * Sums the network counters of every interface of a container.
+ * @param {Object} networks - The `networks` field of a Docker stats sample.
+ * @returns {{rx: number, tx: number}} The received and sent bytes.
+ */
+function networkTotals(networks) {
+  let rx = 0;
+  let tx = 0;
+  for (const iface of Object.values(networks || {})) {
+    rx += iface.rx_bytes || 0;
+    tx += iface.tx_bytes || 0;
+  }
+  return { rx, tx };
+}
+
+/**
+ * Sums the block I/O counters of a container.
+ * @param {Object} blkio - The `blkio_stats` field of a Docker stats sample.
+ * @returns {{read: number, write: number}} The read and written bytes.
+ */
+function diskTotals(blkio) {
+  let read = 0;
+  let write = 0;
+  for (const entry of (blkio && blkio.io_service_bytes_recursive) || []) {
+    const op = String(entry.op).toLowerCase();
+    if (op === "read") read += entry.value;
+    else if (op === "write") write += entry.value;
+  }
+  return { read, write };
+}
+
+/**
+ * Turns a raw Docker stats sample into the compact payload sent to clients.
+ * Rates are bytes per second since the previous sample.
+ * @param {Object} raw - The Docker stats sample.
+ * @param {Object} [previous] - The totals of the previous sample.
+ * @returns {Object} The payload, and the `totals` to pass as `previous` next time.
+ */
+function computeStats(raw, previous) {
+  const cpuStats = raw.cpu_stats || {};
+  const preCpuStats = raw.precpu_stats || {};
+  const cores = cpuStats.online_cpus || (cpuStats.cpu_usage && (cpuStats.cpu_usage.percpu_usage || []).length) || 1;
+  const cpuDelta = ((cpuStats.cpu_usage || {}).total_usage || 0) - ((preCpuStats.cpu_usage || {}).total_usage || 0);
+  const systemDelta = (cpuStats.system_cpu_usage || 0) - (preCpuStats.system_cpu_usage || 0);
+  const cpuPercent = cpuDelta > 0 && systemDelta > 0 ? (cpuDelta / systemDelta) * cores * 100 : 0;
+
+  // Page cache is reclaimable, so it does not count as used (cgroup v1 and v2 name it differently)
+  const memory = raw.memory_stats || {};
+  const memoryDetails = memory.stats || {};
+  const cache = memoryDetails.total_inactive_file ?? memoryDetails.inactive_file ?? memoryDetails.cache ?? 0;
+  const memoryUsed = Math.max((memory.usage || 0) - cache, 0);
+  const memoryLimit = memory.limit || 0;
+
+  const time = Date.parse(raw.read) || Date.now();
+  const net = networkTotals(raw.networks);
+  const disk = diskTotals(raw.blkio_stats);
+  const elapsed = previous ? (time - previous.time) / 1000 : 0;
+  const rate = (now, before) => (elapsed > 0 && now >= before ? Math.round((now - before) / elapsed) : 0);
+
+  return {
+    totals: { time, net, disk },
+    stats: {
+      timestamp: new Date(time).toISOString(),
+      cpu: { percent: Math.round(cpuPercent * 100) / 100, cores },
+      memory: {
+        used: memoryUsed,
+        limit: memoryLimit,
+        percent: memoryLimit ? Math.round((memoryUsed / memoryLimit) * 10000) / 100 : 0,
+      },
+      network: {
+        rx: net.rx,
+        tx: net.tx,
+        rxRate: previous ? rate(net.rx, previous.net.rx) : 0,
+        txRate: previous ? rate(net.tx, previous.net.tx) : 0,
+      },
+      disk: {
+        read: disk.read,
+        write: disk.write,
+        readRate: previous ? rate(disk.read, previous.disk.read) : 0,
+        writeRate: previous ? rate(disk.write, previous.disk.write) : 0,
+      },
+    },
+  };
+}
+
+/**
+ * Takes one sample of an instance and sends it to the listeners of its sampler.
+ * @param {string} id - The instance ID.
+ * @param {Object} sampler - The sampler of the instance.
+ */
+async function sample(id, sampler) {
+  if (sampler.busy) return;
+  sampler.busy = true;
+
+  try {
+    const raw = await docker.getContainer(id).stats({ stream: false });
+    const { stats, totals } = computeStats(raw, sampler.previous);
+    sampler.previous = totals;
+    sampler.latest = { id, ...stats, volumeSize: sampler.volumeSize };
+    for (const listener of sampler.listeners) {
+      listener(sampler.latest);
+    }
+  } catch (err) {
+    log.debug(`Failed to sample stats of ${id}: ${err.message}`);
+  } finally {
+    sampler.busy = false;
+  }
+}
+
+/**
+ * Measures the volume of an instance. Runs on its own slower timer, since walking a large
+ * volume takes far longer than a stats sample.
+ * @param {string} id - The instance ID, which is also its volume ID.
+ * @param {Object} sampler - The sampler of the instance.
+ */
+async function measureVolume(id, sampler) {
+  try {
+    sampler.volumeSize = await getVolumeSize(id);
+  } catch (err) {
+    if (err.code !== "ENOENT") log.warn(`Failed to measure volume ${id}: ${err.message}`);
+  }
+}
+
+/**
+ * Subscribes to the resource usage of an instance. The instance is sampled every
+ * `stats.interval` seconds while it has at least one subscriber, however many there are.
+ * Samples are `{ id, timestamp, cpu: { percent, cores }, memory: { used, limit, percent },
+ * network: { rx, tx, rxRate, txRate }, disk: { read, write, readRate, writeRate }, volumeSize }`,
+ * with sizes in bytes and rates in bytes per second. `volumeSize` is refreshed every
+ * `stats.volumeInterval` seconds and is null until the first measurement.
+ * @param {string} id - The instance ID.
+ * @param {Function} listener - Called with each sample.
+ * @returns {Function} Unsubscribes the listener.
+ */
+function subscribeStats(id, listener) {
+  let sampler = samplers.get(id);
+  if (!sampler) {
+    sampler = { listeners: new Set(), previous: null, latest: null, volumeSize: null, busy: false };
+    samplers.set(id, sampler);
+    sampler.timer = setInterval(() => sample(id, sampler), INTERVAL);
+    sampler.volumeTimer = setInterval(() => measureVolume(id, sampler), VOLUME_INTERVAL);
+    measureVolume(id, sampler).then(() => sample(id, sampler));
+  } else if (sampler.latest) {
+    listener(sampler.latest);
+  }
+  sampler.listeners.add(listener);
+
+  return () => {
+    sampler.listeners.delete(listener);
+    if (sampler.listeners.size === 0 && samplers.get(id) === sampler) {
+      clearInterval(sampler.timer);
+      clearInterval(sampler.volumeTimer);
+      samplers.delete(id);
+    }
+  };
+}
+
+/**
+ * Returns the latest sample of an instance, if it is being sampled.
+ * @param {string} id - The instance ID.
+ * @returns {Object|null} The sample.
+ */
+function getLatestStats(id) {
+  const sampler = samplers.get(id);
+  return sampler ? sampler.latest : null;
+}
+
+module.exports = { computeStats, subscribeStats, getLatestStats };
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const { execFileSync } = require("child_process");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+
+const tlsConfig = config.tls || {};
+const ROOT_DIR = path.join(__dirname, "..");
+
+const CERT_PATH = path.resolve(ROOT_DIR, tlsConfig.cert || "certs/cert.pem");
+const KEY_PATH = path.resolve(ROOT_DIR, tlsConfig.key || "certs/key.pem");
+const SELF_SIGNED_DAYS = 825;
+
+// Shared with every server using TLS and updated in place on reload, so FTPS picks up the new
+// certificate on its next connection
+const credentials = {};
+const servers = new Set();
+
+/**
+ * @returns {boolean} True if the API listens with HTTPS/WSS.
+ */
+function isTlsEnabled() {
+  return tlsConfig.enabled === true;
+}
+
+/**
+ * @returns {boolean} True if the FTP server offers FTPS with the same certificate.
+ */
+function isFtpsEnabled() {
+  return isTlsEnabled() && tlsConfig.ftps === true;
+}
+
+/**
+ * Generates a self-signed certificate for the node with openssl, valid for the host name and the
+ * FTP address.
+ */
+function generateSelfSigned() {
+  const hostname = os.hostname();
+  const names = [`DNS:${hostname}`, "DNS:localhost", "IP:127.0.0.1"];
+  const ftpIp = config.ftp && config.ftp.ip;
+  if (ftpIp && net.isIP(ftpIp) && ftpIp !== "127.0.0.1") names.push(`IP:${ftpIp}`);
+
+  fs.mkdirSync(path.dirname(CERT_PATH), { recursive: true });
+  fs.mkdirSync(path.dirname(KEY_PATH), { recursive: true });
+  execFileSync("openssl", [
+    "req", "-x509", "-newkey", "rsa:2048", "-nodes", "-sha256",
+    "-days", String(SELF_SIGNED_DAYS),
+    "-subj", `/CN=${hostname}`,
+    "-addext", `subjectAltName=${names.join(",")}`,
+    "-keyout", KEY_PATH,
+    "-out", CERT_PATH,
+  ], { stdio: "ignore" });
+  fs.chmodSync(KEY_PATH, 0o600);
+  log.info(`Generated a self-signed certificate for ${hostname} at ${CERT_PATH}`);
+}
+
+/**
+ * Reads the certificate and key from disk into the shared credentials.
+ * @throws {Error} If either file cannot be read.
+ */
+function readCredentials() {
+  credentials.cert = fs.readFileSync(CERT_PATH);
+  credentials.key = fs.readFileSync(KEY_PATH);
+}
+
+/**
+ * Returns the certificate and key, loading them on first use. When they do not exist yet and
+ * `tls.selfSigned` is not false, a self-signed certificate is generated.
+ * @returns {Object} `{ cert, key }`, usable as TLS options.
+ * @throws {Error} If there is no certificate and none can be generated.
+ */
+function getCredentials() {
+  if (credentials.cert) return credentials;
+
+  if (!fs.existsSync(CERT_PATH) || !fs.existsSync(KEY_PATH)) {
+    if (tlsConfig.selfSigned === false) {
+      throw new Error(`TLS is enabled but ${CERT_PATH} or ${KEY_PATH} does not exist`);
+    }
+    generateSelfSigned();
+  }
+  readCredentials();
+  return credentials;
+}
+
+/**
+ * Reloads the certificate and key from disk, e.g. after they were renewed. The servers keep
+ * their current certificate if the new files cannot be read.
+ */
+function reloadCredentials() {
+  const previous = { ...credentials };
+  try {
+    readCredentials();
+    for (const server of servers) {
+      server.setSecureContext(credentials);
+    }
+    log.info("TLS certificate reloaded");
+  } catch (err) {
+    Object.assign(credentials, previous);
+    log.error("Failed to reload the TLS certificate:", err.message);
+  }
+}
+
+/**
+ * Creates the server of the API: HTTPS when `tls.enabled` is set, plain HTTP otherwise. HTTPS
+ * servers reload their certificate on SIGHUP.
+ * @param {Function} app - The request handler.
+ * @returns {http.Server|https.Server} The server.
+ */
+function createServer(app) {
+  if (!isTlsEnabled()) return http.createServer(app);
+
+  const server = https.createServer(getCredentials(), app);
+  if (servers.size === 0) {
+    process.on("SIGHUP", reloadCredentials);
+  }
+  servers.add(server);
+  return server;
+}
+
+module.exports = { isTlsEnabled, isFtpsEnabled, getCredentials, reloadCredentials, createServer };
@@ -0,0 +1,212 @@
+const Docker = require("dockerode");
+const config = require("../config.json");
+const CatLoggr = require("cat-loggr");
+const { getState, setState, syncState } = require("./state.js");
+const { getInstanceSettings } = require("./instances.js");
+const { onContainerEvent } = require("./dockerEvents.js");
+const log = new CatLoggr();
+
+const docker = new Docker({ socketPath: process.env.dockerSocket || "/var/run/docker.sock" });
+
+const restartConfig = config.restart || {};
+
+const DEFAULT_RESTART_POLICY = {
+  enabled: restartConfig.enabled !== undefined ? restartConfig.enabled : true,
+  maxRetries: restartConfig.maxRetries !== undefined ? restartConfig.maxRetries : 5,
+  backoff: restartConfig.backoff !== undefined ? restartConfig.backoff : 5,
+  maxBackoff: restartConfig.maxBackoff !== undefined ? restartConfig.maxBackoff : 300,
+  window: restartConfig.window !== undefined ? restartConfig.window : 600,
+};
+
+// Exit codes of a process that shut down on request: 0, SIGINT (130) and SIGTERM (143)
+const CLEAN_EXIT_CODES = [0, 130, 143];
+
+// A stop requested by the daemon is expected for this long after it was announced
+const EXPECTED_STOP_TTL = 5 * 60 * 1000;
+
+const expectedStops = new Map();
+const crashes = new Map();
+const pendingRestarts = new Map();
+
+let unsubscribe = null;
+
+/**
+ * Validates a restart policy and fills in the node defaults.
+ * @param {Object} [policy] - `enabled`, `maxRetries` (crashes tolerated within `window` seconds
+ * before giving up), `backoff` (seconds before the first restart, doubled on every crash) and
+ * `maxBackoff` seconds.
+ * @returns {Object} The complete restart policy.
+ * @throws {Error} With statusCode 400 if a value is invalid.
+ */
+function normalizeRestartPolicy(policy) {
+  const merged = { ...DEFAULT_RESTART_POLICY, ...(policy || {}) };
+
+  for (const key of ["maxRetries", "backoff", "maxBackoff", "window"]) {
+    const value = Number(merged[key]);
+    if (!Number.isFinite(value) || value < 0 || value > 86400) {
+      const err = new Error(`RestartPolicy.${key} must be a number between 0 and 86400`);
+      err.statusCode = 400;
+      throw err;
+    }
+    merged[key] = value;
+  }
+  merged.enabled = Boolean(merged.enabled);
+
+  return merged;
+}
+
+/**
+ * Marks the next exit of an instance as requested by the daemon, so it is not treated as a crash.
+ * A restart waiting for its backoff is cancelled.
+ * @param {string} id - The instance ID.
+ */
+function expectStop(id) {
+  expectedStops.set(id, Date.now());
+  cancelRestart(id);
+}
+
+/**
+ * @param {string} id - The instance ID.
+ * @returns {boolean} True if the daemon asked the instance to stop. The mark is consumed.
+ */
+function consumeExpectedStop(id) {
+  const markedAt = expectedStops.get(id);
+  expectedStops.delete(id);
+  return markedAt !== undefined && Date.now() - markedAt < EXPECTED_STOP_TTL;
+}
+
+/**
+ * Cancels a restart that is waiting for its backoff.
+ * @param {string} id - The instance ID.
+ */
+function cancelRestart(id) {
+  const timer = pendingRestarts.get(id);
+  if (timer) {
+    clearTimeout(timer);
+    pendingRestarts.delete(id);
+  }
+}
+
+/**
+ * Describes why a container exited.
+ * @param {number} exitCode - The exit code.
+ * @param {boolean} oomKilled - Whether the container ran out of memory.
+ * @returns {string} The reason.
+ */
+function exitReason(exitCode, oomKilled) {
+  return oomKilled ? `Killed after running out of memory (exit code ${exitCode})` : `Exited with code ${exitCode}`;
+}
+
+/**
+ * Handles the exit of a container. Instances the daemon does not track, such as installer
+ * containers, are ignored.
+ * @param {string} id - The instance ID, which is the container name.
+ * @param {number} exitCode - The exit code from the die event.
+ */
+async function handleExit(id, exitCode) {
+  const state = await getState(id);
+  if (state === null || state === "DELETED") return;
+
+  if (consumeExpectedStop(id)) {
+    await setState(id, "STOPPED", { reason: "Stopped by the daemon" });
+    return;
+  }
+
+  let oomKilled = false;
+  try {
+    const info = await docker.getContainer(id).inspect();
+    if (info.State.Running) return;
+    oomKilled = Boolean(info.State.OOMKilled);
+    exitCode = info.State.ExitCode;
+  } catch (err) {
+    // The container was removed right after it exited
+    if (err.statusCode === 404) return;
+    throw err;
+  }
+
+  const reason = exitReason(exitCode, oomKilled);
+  if (!oomKilled && CLEAN_EXIT_CODES.includes(exitCode)) {
+    crashes.delete(id);
+    await setState(id, "STOPPED", { reason });
+    return;
+  }
+
+  log.warn(`${id} crashed: ${reason}`);
+  const { RestartPolicy } = await getInstanceSettings(id);
+  const policy = normalizeRestartPolicy(RestartPolicy);
+
+  if (!policy.enabled) {
+    await setState(id, "CRASHED", { reason });
+    return;
+  }
+
+  // Only crashes within the window count towards the crash-loop cutoff
+  const now = Date.now();
+  const recent = (crashes.get(id) || []).filter((time) => now - time < policy.window * 1000);
+  recent.push(now);
+  crashes.set(id, recent);
+
+  if (recent.length > policy.maxRetries) {
+    crashes.delete(id);
+    log.error(`${id} is crash looping, giving up after ${recent.length} crashes`);
+    await setState(id, "CRASHED", {
+      reason: `Crash loop: ${recent.length} crashes within ${policy.window}s, restart policy gave up`,
+      error: reason,
+    });
+    return;
+  }
+
+  const delay = Math.min(policy.backoff * 2 ** (recent.length - 1), policy.maxBackoff);
+  await setState(id, "RESTARTING", { reason: `${reason}, restarting in ${delay}s (attempt ${recent.length}/${policy.maxRetries})` });
+  scheduleRestart(id, delay);
+}
+
+/**
+ * Restarts a crashed instance once its backoff has passed.
+ * @param {string} id - The instance ID.
+ * @param {number} delay - The backoff in seconds.
+ */
+function scheduleRestart(id, delay) {
+  cancelRestart(id);
+  pendingRestarts.set(id, setTimeout(async () => {
+    pendingRestarts.delete(id);
+    try {
+      const container = docker.getContainer(id);
+      const info = await container.inspect();
+      if (info.State.Running) return;
+
+      await container.start();
+      await syncState(id, "RUNNING", { reason: "Restarted after a crash" });
+      log.info(`Restarted ${id} after a crash`);
+    } catch (err) {
+      if (err.statusCode === 404) return;
+      log.error(`Failed to restart ${id}:`, err.message);
+      await setState(id, "CRASHED", { reason: "Restart after a crash failed", error: err }).catch(() => {});
+    }
+  }, delay * 1000));
+}
+
+/**
+ * Watches container exits and restarts crashed instances according to their restart policy.
+ * A container started in the meantime cancels its pending restart.
+ */
+function startWatchdog() {
+  if (unsubscribe) return;
+
+  unsubscribe = onContainerEvent((event) => {
+    if (event.action === "start") {
+      cancelRestart(event.id);
+    } else if (event.action === "die") {
+      handleExit(event.id, event.exitCode).catch((error) => {
+        log.error(`Failed to handle the exit of ${event.id}:`, error);
+      });
+    }
+  });
+}
+
+module.exports = {
+  normalizeRestartPolicy,
+  expectStop,
+  cancelRestart,
+  startWatchdog,
+};
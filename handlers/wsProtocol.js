@@ -0,0 +1,87 @@
+/**
+ * The envelope every WebSocket frame from the daemon is wrapped in:
+ *
+ *   { v: 1, event: "stats", data: { ... }, ts: "2026-01-01T00:00:00.000Z", id: "optional" }
+ *
+ * `v` is the protocol version, `ts` the time the frame was sent and `id` the request ID of the
+ * client message the frame answers, if any. Events sent by the daemon:
+ *
+ *   auth:success    { instance, protocol }                      after a successful auth message
+ *   console:output  { output }                                  console output of the instance
+ *   status          { id, timestamp, from, to, reason, error }  an instance changed state
+ *   stats           { cpu, memory, network, disk, ... }         resource usage; see handlers/stats.js
+ *   power:progress  { action, stage, message }                  a stop advancing through its policy
+ *   power:result    { action, success, stoppedBy?, error? }     the outcome of a power request
+ *   deploy:progress a deployment progress event                 see handlers/progress.js
+ *   error           { message, code }                           a request failed or was rejected
+ *
+ * Clients send `{ event, data, id }`: `auth` ({ token }, a token from handlers/auth.js or the node key),
+ * `console:command` ({ command }), `power:start`, `power:stop`, `power:restart` and `power:kill`.
+ * Shell sessions exchange raw terminal data instead; see `setupShellSession` in index.js.
+ */
+
+const PROTOCOL_VERSION = 1;
+
+/**
+ * Wraps an event in the protocol envelope.
+ * @param {string} event - The event type.
+ * @param {*} data - The event payload.
+ * @param {string} [id] - The request ID the event answers.
+ * @returns {string} The serialized frame.
+ */
+function createEnvelope(event, data, id) {
+  const envelope = { v: PROTOCOL_VERSION, event, data: data === undefined ? null : data, ts: new Date().toISOString() };
+  if (id !== undefined && id !== null) envelope.id = id;
+  return JSON.stringify(envelope);
+}
+
+/**
+ * Sends an event to a client if its socket is still open.
+ * @param {WebSocket} ws - The client socket.
+ * @param {string} event - The event type.
+ * @param {*} data - The event payload.
+ * @param {string} [id] - The request ID the event answers.
+ */
+function sendEvent(ws, event, data, id) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(createEnvelope(event, data, id));
+  }
+}
+
+/**
+ * Sends an error event to a client.
+ * @param {WebSocket} ws - The client socket.
+ * @param {string} code - A machine-readable error code, e.g. "auth_failed".
+ * @param {string} message - The error message.
+ * @param {string} [id] - The request ID the error answers.
+ */
+function sendError(ws, code, message, id) {
+  sendEvent(ws, "error", { message, code }, id);
+}
+
+/**
+ * Parses a client message. The earlier `{ event, args: [...] }` form is still accepted, with
+ * `args[0]` as the auth token, and a bare `{ command }` is a console command.
+ * @param {Buffer|string} raw - The message.
+ * @returns {Object} The `event`, `data` and `id` of the message.
+ * @throws {SyntaxError} If the message is not JSON.
+ */
+function parseMessage(raw) {
+  const msg = JSON.parse(raw);
+  if (!msg || typeof msg !== "object") {
+    throw new SyntaxError("Message must be a JSON object");
+  }
+
+  let event = msg.event;
+  let data = msg.data || {};
+  if (event === "auth" && Array.isArray(msg.args)) {
+    data = { token: msg.args[0] };
+  } else if ((!event || event === "cmd") && typeof (msg.command || data.command) === "string") {
+    event = "console:command";
+    data = { command: msg.command || data.command };
+  }
+
+  return { event, data, id: msg.id };
+}
+
+module.exports = { PROTOCOL_VERSION, createEnvelope, sendEvent, sendError, parseMessage };
@@ -3,7 +3,8 @@
  * @fileoverview Main entry file for the Hydra Daemon. This module sets up an
  * Express server integrated with Docker for container management and WebSocket for real-time communication.
  * It includes routes for instance management, deployment, and power control, as well as WebSocket endpoints
- * for real-time container stats and logs. Authentication is enforced using basic authentication.
+ * for real-time container stats and logs. The panel authenticates with basic auth and the node key; browsers
+ * use short-lived tokens scoped to instances and permissions (see handlers/auth.js).
  * 
  * The server initializes with logging and configuration, sets up middleware for body parsing and authentication,
  * and dynamically handles WebSocket connections for various operational commands and telemetry.
@@ -11,20 +12,36 @@
 process.env.dockerSocket = process.platform === "win32" ? "//./pipe/docker_engine" : "/var/run/docker.sock";
 const express = require('express');
 const Docker = require('dockerode');
-const basicAuth = require('express-basic-auth');
 const bodyParser = require('body-parser');
 const CatLoggr = require('cat-loggr');
 const WebSocket = require('ws');
-const http = require('http');
 const fs = require('node:fs');
-const path = require('path');
 const chalk = require('chalk')
 const ascii = fs.readFileSync('./handlers/ascii.txt', 'utf8');
 const { exec } = require('child_process');
 const { init, createVolumesFolder } = require('./handlers/init.js');
 const { seed } = require('./handlers/seed.js');
+const { resumeDeployments } = require('./handlers/deployer.js');
+const { startImagePruning } = require('./handlers/images.js');
 const { start, createNewVolume } = require('./routes/InstanceFTP.js')
 const { createDatabaseAndUser } = require('./routes/InstanceDB.js');
+const { subscribeProgress } = require('./handlers/progress.js');
+const { runPowerAction } = require('./handlers/power.js');
+const { sendCommand } = require('./handlers/console.js');
+const { startWatchdog } = require('./handlers/watchdog.js');
+const { startDockerEvents } = require('./handlers/dockerEvents.js');
+const { subscribeStates } = require('./handlers/state.js');
+const { startScheduler } = require('./handlers/scheduler.js');
+const { startLogCapture } = require('./handlers/consoleLogs.js');
+const { isShellAllowed, openShell, resizeShell } = require('./handlers/shell.js');
+const { subscribeStats } = require('./handlers/stats.js');
+const { startMetrics } = require('./handlers/metrics.js');
+const { PROTOCOL_VERSION, sendEvent, sendError, parseMessage } = require('./handlers/wsProtocol.js');
+const { authenticate, authenticateSecret, hasScope, requireAdmin, requireScope } = require('./handlers/auth.js');
+const { createServer, isTlsEnabled } = require('./handlers/tls.js');
+const { actorFromAuth, recordAudit, auditRequests, startAuditRetention } = require('./handlers/audit.js');
+const { getLockout, recordFailure, retryAfter } = require('./handlers/ratelimit.js');
+const { REDACTED, decryptSecret, installLogRedaction } = require('./handlers/secrets.js');
 const config = require('./config.json');
 
 const docker = new Docker({ socketPath: process.env.dockerSocket });
@@ -36,7 +53,7 @@ const docker = new Docker({ socketPath: process.env.dockerSocket });
  * and message reception, parsing messages as JSON and handling them according to their specified event type.
  */
 const app = express();
-const server = http.createServer(app);
+const server = createServer(app);
 
 const log = new CatLoggr();
 
@@ -45,27 +62,64 @@ const log = new CatLoggr();
  * user keys from the configuration. Initializes routes for managing Docker instances, deployments, and
  * power controls. These routes are grouped under the '/instances' path.
  */
+// Before anything is logged, so no log line carries the node key or the MySQL password
+installLogRedaction();
 console.log(chalk.gray(ascii) + chalk.white(`version v${config.version}\n`));
 init();
-seed();
+seed().catch((err) => log.error('Failed to seed volumes and instance states:', err));
+resumeDeployments().catch((err) => log.error('Failed to resume deployments:', err));
+startImagePruning();
+startDockerEvents();
+startWatchdog();
+startScheduler();
+startLogCapture().catch((err) => log.error('Failed to start console log capture:', err));
+startMetrics().catch((err) => log.error('Failed to start metrics recording:', err));
+startAuditRetention();
 
 app.use(bodyParser.json());
-app.use(basicAuth({
-    users: { 'Skyport': config.key },
-    challenge: true
-}));
+// The panel uses basic auth with the node key; browsers use tokens scoped to instances
+app.use(authenticate);
+app.use(auditRequests);
 
 const instanceRouter = require('./routes/Instance.js');
 const deploymentRouter = require('./routes/Deploy.js');
 const filesystemRouter = require('./routes/Volume.js');
 const archiveRouter = require('./routes/ArchiveVolume.js');
 const powerRouter = require('./routes/PowerActions.js');
+const portsRouter = require('./routes/Ports.js');
+const imagesRouter = require('./routes/Images.js');
+const schedulesRouter = require('./routes/Schedules.js');
+const logsRouter = require('./routes/Logs.js');
+const authRouter = require('./routes/Auth.js');
+const auditRouter = require('./routes/Audit.js');
+const lockoutsRouter = require('./routes/Lockouts.js');
 
 // use routes
 app.use('/instances', instanceRouter);
 app.use('/instances', deploymentRouter);
 app.use('/instances', powerRouter);
 
+// port allocations
+app.use('/ports', requireAdmin, portsRouter);
+
+// image cache
+app.use('/images', requireAdmin, imagesRouter);
+
+// scheduled tasks
+app.use('/schedules', requireAdmin, schedulesRouter);
+
+// console logs
+app.use('/logs', logsRouter);
+
+// access tokens
+app.use('/auth', requireAdmin, authRouter);
+
+// audit log
+app.use('/audit', requireAdmin, auditRouter);
+
+// login lockouts
+app.use('/lockouts', requireAdmin, lockoutsRouter);
+
 // archive
 app.use('/archive', archiveRouter);
 
@@ -74,19 +128,19 @@ app.use('/fs', filesystemRouter);
 
 // FTP
 start();
-app.get('/ftp/info/:id', (req, res) => {
+app.get('/ftp/info/:id', requireScope('files'), async (req, res) => {
     const filePath = './ftp/user-' + req.params.id + '.json';
-    fs.readFile(filePath, 'utf8', (err, data) => {
-        if (err) {
-            console.error('Error reading file:', err);
-            res.status(500).json({ error: 'Error reading file' });
-            return;
-        }
-        res.json(JSON.parse(data));
-    });
+    try {
+        const user = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        // The FTP password is the credential being looked up, so it is the one secret sent back
+        res.json({ ...user, password: decryptSecret(user.password) });
+    } catch (err) {
+        console.error('Error reading FTP user:', err.message);
+        res.status(500).json({ error: 'Error reading file' });
+    }
 });
 
-app.post('/database/create/:name', async (req, res) => {
+app.post('/database/create/:name', requireAdmin, async (req, res) => {
     try {
         const dbName = req.params.name;
         const credentials = await createDatabaseAndUser(dbName);
@@ -106,6 +160,7 @@ app.post('/database/create/:name', async (req, res) => {
  * interactions such as authentication, container statistics reporting, logs streaming, and container
  * control commands (start, stop, restart). The WebSocket server checks for authentication on connection
  * and message reception, parsing messages as JSON and handling them according to their specified event type.
+ * Frames use the envelope protocol described in handlers/wsProtocol.js.
  * 
  * @param {http.Server} server - The HTTP server to bind the WebSocket server to.
  */
@@ -114,24 +169,45 @@ function initializeWebSocketServer(server) {
 
     wss.on('connection', (ws, req) => {
         let isAuthenticated = false;
+        let auth = null;
+        let expiryTimer = null;
+
+        ws.on('close', () => clearTimeout(expiryTimer));
 
         ws.on('message', async (message) => {
-            log.debug('got ' + message);
-            let msg = {};
+            // Shell sessions read their own frames, which are raw keystrokes
+            if (isAuthenticated && req.url.startsWith('/shell/')) return;
+
+            let msg;
             try {
-                msg = JSON.parse(message);
+                msg = parseMessage(message);
             } catch (error) {
-                ws.send('Invalid JSON');
+                sendError(ws, 'invalid_json', 'Messages must be JSON objects');
+                return;
+            }
+            if (typeof msg.event !== 'string') {
+                sendError(ws, 'invalid_message', 'Messages must have an event', msg.id);
                 return;
             }
 
-            if (msg.event === 'auth' && msg.args) {
-                authenticateWebSocket(ws, req, msg.args[0], (authenticated, containerId, volumeId) => {
+            if (msg.event === 'auth' && isAuthenticated) {
+                sendError(ws, 'already_authenticated', 'The socket is already authenticated', msg.id);
+            } else if (msg.event === 'auth') {
+                authenticateWebSocket(ws, req, msg.data.token, (authenticated, containerId, credentials) => {
                     if (authenticated) {
                         isAuthenticated = true;
-                        handleWebSocketConnection(ws, req, containerId, volumeId);
+                        auth = credentials;
+                        // Streams end with the token, not just the requests made after it expired
+                        if (!auth.admin) {
+                            expiryTimer = setTimeout(() => {
+                                sendError(ws, 'token_expired', 'Token expired');
+                                ws.close(1008, "Token expired");
+                            }, auth.claims.exp * 1000 - Date.now());
+                        }
+                        sendEvent(ws, 'auth:success', { instance: containerId, protocol: PROTOCOL_VERSION }, msg.id);
+                        handleWebSocketConnection(ws, req, containerId);
                     } else {
-                        ws.send('Authentication failed');
+                        sendError(ws, 'auth_failed', 'Authentication failed', msg.id);
                         ws.close(1008, "Authentication failed");
                     }
                 });
@@ -140,77 +216,133 @@ function initializeWebSocketServer(server) {
                 const containerId = urlParts[2];
 
                 if (!containerId) {
-                    ws.close(1008, "Container ID not specified");
+                    sendError(ws, 'no_instance', 'Container ID not specified', msg.id);
+                    return;
+                }
+
+                if (!auth.admin && auth.claims.exp * 1000 <= Date.now()) {
+                    sendError(ws, 'token_expired', 'Token expired', msg.id);
+                    ws.close(1008, "Token expired");
+                    return;
+                }
+                if (msg.event.startsWith('power:') && !hasScope(auth, containerId, 'power')) {
+                    sendError(ws, 'forbidden', 'The token does not grant power access to this instance', msg.id);
                     return;
                 }
 
                 const container = docker.getContainer(containerId);
 
                 switch (msg.event) {
-                    case 'cmd':
-                        // Do absolutely fucking nothing. Not handling it here.
+                    case 'console:command':
+                        executeCommand(ws, container, msg.data.command, msg.id);
                         break;
                     case 'power:start':
-                        performPowerAction(ws, container, 'start');
-                        break;
                     case 'power:stop':
-                        performPowerAction(ws, container, 'stop');
-                        break;
                     case 'power:restart':
-                        performPowerAction(ws, container, 'restart');
+                    case 'power:kill':
+                        performPowerAction(ws, container, msg.event.split(':')[1], msg.id);
                         break;
                     default:
-                        ws.send('Unsupported event');
+                        sendError(ws, 'unsupported_event', `Unsupported event: ${msg.event}`, msg.id);
                         break;
                 }
             } else {
-                ws.send('Unauthorized access');
+                sendError(ws, 'unauthorized', 'Unauthorized access', msg.id);
                 ws.close(1008, "Unauthorized access");
             }
         });
 
-        function authenticateWebSocket(ws, req, password, callback) {
-            if (password === config.key) {
-                log.info('successful authentication on ws');
-                ws.send(`\r\n\u001b[33m[draco] \x1b[0mconnected!\r\n`);
-                const urlParts = req.url.split('/');
-                const containerId = urlParts[2];
-                const volumeId = urlParts[3] || 0;
+        /**
+         * Authenticates a socket with the node key or a token. Tokens need the console permission
+         * on the instance of the channel, or the shell permission for /shell/; following /events/
+         * for every instance needs the node key.
+         */
+        function authenticateWebSocket(ws, req, secret, callback) {
+            const attempt = { service: 'websocket', ip: req.socket.remoteAddress };
+            const lockout = getLockout(attempt);
+            if (lockout) {
+                sendError(ws, 'locked_out', `Too many failed logins, try again in ${retryAfter(lockout)} seconds`);
+                ws.close(1008, "Too many failed logins");
+                return;
+            }
 
-                if (!containerId) {
-                    ws.close(1008, "Container ID not specified");
-                    callback(false, null);
-                    return;
-                }
+            let credentials;
+            try {
+                credentials = authenticateSecret(secret);
+            } catch (err) {
+                recordFailure(attempt);
+                log.warn(`authentication failure on websocket from ${attempt.ip}: ${err.message}`);
+                callback(false, null);
+                return;
+            }
 
-                callback(true, containerId, volumeId);
-            } else {
-                log.warn('authentication failure on websocket!');
+            const urlParts = req.url.split('/');
+            const containerId = urlParts[2];
+
+            // The events channel may follow every instance
+            if (req.url.startsWith('/events') && !containerId) {
+                callback(credentials.admin, null, credentials);
+                return;
+            }
+
+            if (!containerId) {
+                sendError(ws, 'no_instance', 'Container ID not specified');
+                ws.close(1008, "Container ID not specified");
+                return;
+            }
+
+            const permission = req.url.startsWith('/shell/') ? 'shell' : 'console';
+            if (!hasScope(credentials, containerId, permission)) {
+                log.warn(`websocket token does not grant ${permission} access to ${containerId}`);
                 callback(false, null);
+                return;
             }
+
+            log.info('successful authentication on ws');
+            callback(true, containerId, credentials);
         }
 
-        function handleWebSocketConnection(ws, req, containerId, volumeId) {
+        function handleWebSocketConnection(ws, req, containerId) {
+            // Deployments are followed before their container exists
+            if (req.url.startsWith('/deploy/')) {
+                setupDeployStream(ws, containerId);
+                return;
+            }
+
+            if (req.url.startsWith('/events')) {
+                setupStatusStream(ws, containerId);
+                return;
+            }
+
             const container = docker.getContainer(containerId);
-            const volume = volumeId || 0;
 
             container.inspect(async (err, data) => {
                 if (err) {
-                    ws.send('Container not found');
+                    sendError(ws, 'not_found', 'Container not found');
                     return;
                 }
 
                 if (req.url.startsWith('/exec/')) {
-                    setupExecSession(ws, container);
+                    setupExecSession(ws, container, data);
                 } else if (req.url.startsWith('/stats/')) {
-                    setupStatsStreaming(ws, container, volume);
+                    setupStatsStreaming(ws, data.Name.replace(/^\//, ''));
+                } else if (req.url.startsWith('/shell/')) {
+                    setupShellSession(ws, container, data).catch((err) => {
+                        log.error('Failed to set up shell session:', err);
+                        ws.close(1011, 'Failed to open shell');
+                    });
                 } else {
-                    ws.close(1002, "URL must start with /exec/ or /stats/");
+                    ws.close(1002, "URL must start with /exec/, /stats/, /shell/, /deploy/ or /events/");
                 }
             });
         }
 
-        async function setupExecSession(ws, container) {
+        /**
+         * Streams the console output of the container as console:output events, starting with
+         * the last 50 lines, along with status events when the instance changes state.
+         */
+        async function setupExecSession(ws, container, info) {
+            const instanceId = info.Name.replace(/^\//, '');
             const logStream = await container.logs({
                 follow: true,
                 stdout: true,
@@ -219,152 +351,169 @@ function initializeWebSocketServer(server) {
             });
 
             logStream.on('data', chunk => {
-                ws.send(chunk.toString());
+                sendEvent(ws, 'console:output', { output: chunk.toString() });
             });
 
-            ws.on('message', (msg) => {
-                if (isAuthenticated) {
-                    const command = JSON.parse(msg).command;
-                    
-                    if (command) {
-                        executeCommand(ws, container, command);
-                    }
-                }
+            const unsubscribe = subscribeStates((change) => {
+                if (change.id === instanceId) sendEvent(ws, 'status', change);
             });
 
             ws.on('close', () => {
                 logStream.destroy();
+                unsubscribe();
                 log.info('WebSocket client disconnected');
             });
         }
 
-        async function setupStatsStreaming(ws, container, volumeId) {
-            const fetchStats = async () => {
-                try {
-                    const stats = await new Promise((resolve, reject) => {
-                        container.stats({ stream: false }, (err, stats) => {
-                            if (err) {
-                                reject(new Error('Failed to fetch stats'));
-                            } else {
-                                resolve(stats);
-                            }
+        /**
+         * Opens an interactive shell in the container. Binary frames and text frames are written
+         * to the terminal as typed; a text frame of the form { event: 'resize', args: [cols, rows] }
+         * resizes it. Terminal output is sent back as binary frames.
+         */
+        async function setupShellSession(ws, container, info) {
+            const instanceId = info.Name.replace(/^\//, '');
+
+            if (!await isShellAllowed(instanceId)) {
+                ws.close(1008, 'Shell access is disabled for this instance');
+                return;
+            }
+            if (!info.State.Running) {
+                ws.close(1011, 'Container is not running');
+                return;
+            }
+
+            let shell;
+            try {
+                shell = await openShell(container.id);
+            } catch (err) {
+                log.error('Failed to open shell:', err);
+                ws.close(1011, 'Failed to open shell');
+                return;
+            }
+
+            const { exec, stream } = shell;
+            log.info(`shell opened in ${instanceId}`);
+            auditAction(instanceId, 'shell:open', 'success');
+
+            stream.on('data', (chunk) => {
+                if (ws.readyState === WebSocket.OPEN) ws.send(chunk, { binary: true });
+            });
+            stream.on('end', () => ws.close(1000, 'Shell exited'));
+            stream.on('error', (err) => {
+                log.error('Shell stream error:', err);
+                ws.close(1011, 'Shell stream error');
+            });
+
+            ws.on('message', (message, isBinary) => {
+                if (!isBinary) {
+                    let control = null;
+                    try {
+                        control = JSON.parse(message.toString());
+                    } catch (err) {
+                        // Not JSON, so it is input
+                    }
+                    if (control && control.event === 'resize' && Array.isArray(control.args)) {
+                        resizeShell(exec, control.args[0], control.args[1]).catch((err) => {
+                            log.warn('Failed to resize shell:', err.message);
                         });
-                    });
-        
-                    // Calculate volume size
-                    const volumeSize = await getVolumeSize(volumeId);
-        
-                    // Add volume size to stats object
-                    stats.volumeSize = volumeSize;
-        
-                    ws.send(JSON.stringify(stats));
-                } catch (error) {
-                    ws.send(JSON.stringify({ error: error.message }));
+                        return;
+                    }
                 }
-            };
-        
-            await fetchStats();
-        
-            const statsInterval = setInterval(fetchStats, 2000);
-        
+                stream.write(message);
+            });
+
+            ws.on('close', () => {
+                stream.end();
+                log.info(`shell closed in ${instanceId}`);
+            });
+        }
+
+        /**
+         * Streams the progress events of a deployment as deploy:progress events, replaying the
+         * events published so far.
+         */
+        function setupDeployStream(ws, instanceId) {
+            const unsubscribe = subscribeProgress(instanceId, (event) => {
+                sendEvent(ws, 'deploy:progress', event);
+            });
+
             ws.on('close', () => {
-                clearInterval(statsInterval);
+                unsubscribe();
                 log.info('WebSocket client disconnected');
             });
         }
 
-        async function executeCommand(ws, container, command) {
-            try {
-                const stream = await container.attach({
-                    stream: true,
-                    stdin: true,
-                    stdout: true,
-                    stderr: true,
-                    hijack: true
-                });
-        
-                stream.on('data', (chunk) => {
-                    //ws.send(chunk.toString('utf8'));
-                });
-        
-                stream.on('end', () => {
-                    ws.send('\u001b[1m\u001b[33mcontainer@draco~ \u001b[0mServer marked as Offline\r\n');
-                });
-        
-                stream.on('error', (err) => {
-                    log.error('Attach stream error:', err);
-                    ws.send(`Error in attach stream: ${err.message}`);
-                });
-        
-                // Write the command to the stream
-                stream.write(command + '\n'); // your not disattaching.
-        
-            } catch (err) {
-                log.error('Failed to attach to container:', err);
-                ws.send(`Failed to attach to container: ${err.message}`);
-            }
+        /**
+         * Pushes instance state changes as status events. They follow the Docker events of the
+         * containers. Connect to /events/ for every instance or /events/<id> for one.
+         */
+        function setupStatusStream(ws, instanceId) {
+            const unsubscribe = subscribeStates((change) => {
+                if (instanceId && change.id !== instanceId) return;
+                sendEvent(ws, 'status', change);
+            });
+
+            ws.on('close', () => {
+                unsubscribe();
+                log.info('WebSocket client disconnected');
+            });
         }
 
-        async function performPowerAction(ws, container, action) {
-            const actionMap = {
-                'start': container.start.bind(container),
-                'stop': container.kill.bind(container),
-                'restart': container.restart.bind(container),
-            };
-        
-            if (!actionMap[action]) {
-                ws.send(`\r\n\u001b[33m[Vortex-Deamon] \x1b[0Invalid action: ${action}\r\n`);
+        /**
+         * Streams the resource usage of the container as stats events. Every client watching
+         * the same instance shares one sampler; see handlers/stats.js.
+         */
+        function setupStatsStreaming(ws, instanceId) {
+            const unsubscribe = subscribeStats(instanceId, (stats) => {
+                sendEvent(ws, 'stats', stats);
+            });
+
+            ws.on('close', () => {
+                unsubscribe();
+                log.info('WebSocket client disconnected');
+            });
+        }
+
+        /**
+         * Records an action taken over this socket in the audit log.
+         */
+        function auditAction(instance, action, outcome, details) {
+            recordAudit({ ...actorFromAuth(auth), ip: req.socket.remoteAddress, instance, action, outcome, details });
+        }
+
+        async function executeCommand(ws, container, command, requestId) {
+            if (typeof command !== 'string') {
+                sendError(ws, 'invalid_command', 'command must be a string', requestId);
                 return;
             }
-        
-            ws.send(`\r\n\u001b[33m[Vortex-Deamon] \x1b[0mWorking on ${action}...\r\n`);
-        
+
             try {
-                await actionMap[action]();
+                await sendCommand(container.id, command);
+                auditAction(container.id, 'console:command', 'success', { command });
             } catch (err) {
-                console.error(`Error performing ${action} action:`, err);
-                ws.send(`\r\n\u001b[33m[HydraD] \x1b[0Action failed: ${err.message}\r\n`);
+                log.error('Failed to send command to container:', err);
+                auditAction(container.id, 'console:command', 'failure', { command, error: err.message });
+                sendError(ws, 'command_failed', `Failed to send command: ${err.message}`, requestId);
             }
         }
 
-        async function getVolumeSize(volumeId) {
-            const volumePath = path.join('./volumes', volumeId);
+        /**
+         * Runs a power action and answers with a power:result event carrying the request ID.
+         * Stops report each stage of the stop policy as power:progress events.
+         */
+        async function performPowerAction(ws, container, action, requestId) {
+            const progress = (event) => sendEvent(ws, 'power:progress', { action, ...event }, requestId);
+
             try {
-                const totalSize = await calculateDirectorySize(volumePath);
-                return formatBytes(totalSize);
+                const { stoppedBy } = await runPowerAction(container.id, action, progress);
+                auditAction(container.id, `power:${action}`, 'success', stoppedBy && { stoppedBy });
+                sendEvent(ws, 'power:result', { action, success: true, ...(stoppedBy && { stoppedBy }) }, requestId);
             } catch (err) {
-                return 'Unknown';
+                log.error(`Error performing ${action} action:`, err.message);
+                auditAction(container.id, `power:${action}`, 'failure', { error: err.message });
+                sendEvent(ws, 'power:result', { action, success: false, error: err.message }, requestId);
             }
         }
-
-        function calculateDirectorySize(directoryPath, currentDepth) {
-            if (currentDepth >= 500) {
-                log.warn(`Maximum depth reached at ${directoryPath}`);
-                return 0;
-            }
-        
-            let totalSize = 0;
-            const files = fs.readdirSync(directoryPath);
-            for (const file of files) {
-                const filePath = path.join(directoryPath, file);
-                const stats = fs.statSync(filePath);
-                if (stats.isDirectory()) {
-                    totalSize += calculateDirectorySize(filePath, currentDepth + 1);
-                } else {
-                    totalSize += stats.size;
-                }
-            }
-            return totalSize;
-        }
-
-        // fixed in 0.2.2 sam
-        function formatBytes(bytes) {
-            if (bytes === 0) return '0 Bytes';
-            const k = 1024;
-            const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-            const i = Math.floor(Math.log(bytes) / Math.log(k));
-            return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-        }
     });
 }
 
@@ -376,7 +525,7 @@ initializeWebSocketServer(server);
  * and system info. It performs a health check on Docker to ensure it's running and accessible, returning
  * the daemon's status and any pertinent Docker system information in the response.
  */
-app.get('/', async (req, res) => {
+app.get('/', requireAdmin, async (req, res) => {
     try {
         const dockerInfo = await docker.info();  // Fetches information about the docker
         const isDockerRunning = await docker.ping();  // Checks if the docker is up (which it probably is or this will err)
@@ -390,7 +539,7 @@ app.get('/', async (req, res) => {
             mysql: {
               host: config.mysql.host,
               user: config.mysql.user,
-              password: config.mysql.password
+              password: REDACTED
             },
             docker: {
               status: isDockerRunning ? 'running' : 'not running',
@@ -411,13 +560,13 @@ app.use((err, req, res, next) => {
 });
 
 /**
- * Starts the HTTP server with WebSocket support after a short delay, listening on the configured port.
+ * Starts the HTTP (or HTTPS, see handlers/tls.js) server with WebSocket support after a short delay, listening on the configured port.
  * Logs a startup message indicating successful listening. This delayed start allows for any necessary
  * initializations to complete before accepting incoming connections.
  */
 const port = config.port;
 setTimeout(function (){
   server.listen(port, () => {
-    log.info('Vortex is listening on port ' + port);
+    log.info(`Vortex is listening on port ${port}${isTlsEnabled() ? ' (HTTPS)' : ''}`);
   });
 }, 2000);
@@ -3,32 +3,25 @@ const router = express.Router();
 const fs = require('fs');
 const fsPromises = fs.promises;
 const path = require('path');
-const archiver = require('archiver');
 const unzipper = require('unzipper');
 const mime = require('mime-types');
 const { pipeline } = require('stream/promises');
-
-// Constants for better maintainability
-const ARCHIVES_DIR = path.join(__dirname, '../archives');
-const VOLUMES_DIR = path.join(__dirname, '../volumes');
-const MAX_ARCHIVE_SIZE = 1024 * 1024 * 1024 * 5; // 5GB max archive size
-
-/**
- * Ensures the target path is within the specified base directory, preventing directory traversal attacks.
- * @param {string} base - The base directory path.
- * @param {string} target - The target directory or file path.
- * @returns {string} The absolute path that is confirmed to be within the base directory.
- * @throws {Error} If the resolved path attempts to escape the base directory.
- */
-function safePath(base, target) {
-    const resolvedBase = path.resolve(base);
-    const fullPath = path.resolve(resolvedBase, target);
-    
-    if (!fullPath.startsWith(resolvedBase + path.sep) && fullPath !== resolvedBase) {
-        throw new Error('Attempting to access outside of the allowed directory');
-    }
-    return fullPath;
-}
+const {
+    ARCHIVES_DIR,
+    VOLUMES_DIR,
+    safePath,
+    isValidArchiveName,
+    createArchive
+} = require('../handlers/archives');
+const { hasScope, requireScope } = require('../handlers/auth');
+
+router.param('id', requireScope('backups'));
+
+// The volume of an archive route must be covered by the token as well
+router.param('volumeId', (req, res, next, volumeId) => {
+    if (hasScope(req.auth, volumeId, 'backups')) return next();
+    res.status(403).json({ error: 'Forbidden', details: 'The token does not grant backups access to this volume' });
+});
 
 /**
  * Formats file size into a human-readable string.
@@ -45,15 +38,6 @@ function formatFileSize(bytes) {
     return `${size.toFixed(2)} ${units[exponent]}`;
 }
 
-/**
- * Validates archive name to prevent path traversal and invalid characters
- * @param {string} name - Archive name to validate
- * @returns {boolean} True if valid, false otherwise
- */
-function isValidArchiveName(name) {
-    return /^[a-zA-Z0-9_\-\.]+$/.test(name) && !name.includes('..');
-}
-
 /**
  * GET /:id/archives
  * Lists all archives for the specified volume, including their timestamp, size, and name.
@@ -116,59 +100,7 @@ router.post('/:id/archives/:volumeId/create', async (req, res) => {
     }
 
     try {
-        const volumePath = safePath(VOLUMES_DIR, volumeId);
-        const archivePath = safePath(ARCHIVES_DIR, id);
-        
-        await fsPromises.mkdir(archivePath, { recursive: true });
-        
-        // Check if volume exists
-        await fsPromises.access(volumePath, fs.constants.F_OK);
-        
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const archiveName = `${id}-${timestamp}.zip`;
-        const archiveFullPath = path.join(archivePath, archiveName);
-
-        const output = fs.createWriteStream(archiveFullPath);
-        const archive = archiver('zip', {
-            zlib: { level: 9 },
-            statConcurrency: 4 // Number of concurrent stat calls
-        });
-
-        // Set up event handlers
-        let archiveError = null;
-        archive.on('error', (err) => {
-            archiveError = err;
-            output.destroy();
-        });
-
-        output.on('error', (err) => {
-            if (!archiveError) archiveError = err;
-        });
-
-        // Track archive size to prevent excessively large archives
-        let totalBytes = 0;
-        archive.on('data', (data) => {
-            totalBytes += data.length;
-            if (totalBytes > MAX_ARCHIVE_SIZE) {
-                archiveError = new Error('Archive size exceeds maximum limit');
-                archive.abort();
-            }
-        });
-
-        // Finalize the archive
-        archive.pipe(output);
-        archive.directory(volumePath, false);
-        await archive.finalize();
-
-        if (archiveError) {
-            // Clean up the partial archive if there was an error
-            try {
-                await fsPromises.unlink(archiveFullPath);
-            } catch (cleanupErr) {
-                console.error('Failed to clean up partial archive:', cleanupErr);
-            }
-            throw archiveError;
-        }
+        const { archiveName, size: totalBytes } = await createArchive(id, volumeId);
 
         res.json({ 
             message: 'Archive created successfully', 
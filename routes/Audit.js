@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Routes for the audit log, which records every mutating REST request, WebSocket
+ * console and power action and FTP write made on this node.
+ */
+
+const express = require("express");
+const router = express.Router();
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+const { queryAudit } = require("../handlers/audit");
+
+/**
+ * GET /
+ * Lists audit entries, newest first. Entries are
+ * `{ timestamp, actor, tokenId, ip, instance, action, outcome, details }`.
+ *
+ * @param {string} [from] - Query parameter. Only entries at or after this time.
+ * @param {string} [to] - Query parameter. Only entries at or before this time.
+ * @param {string} [instance] - Query parameter. Only entries about this instance.
+ * @param {string} [actor] - Query parameter. Only entries by this actor, e.g. "panel" or "ftp:user-abc".
+ * @param {string} [action] - Query parameter. Only entries whose action contains this text.
+ * @param {string} [outcome] - Query parameter. "success" or "failure".
+ * @param {number} [limit] - Query parameter. Entries per page (default 100, max 1000).
+ */
+router.get("/", async (req, res) => {
+  const { from, to, instance, actor, action, outcome, limit } = req.query;
+
+  try {
+    res.json(await queryAudit({ from, to, instance, actor, action, outcome, limit }));
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    log.error("Error reading the audit log:", err);
+    res.status(500).json({ message: "Failed to read the audit log", error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Routes for access tokens. Tokens let browsers reach the console, power controls,
+ * files, backups and shell of the instances they are scoped to, without holding the node key. Panels can
+ * sign tokens themselves (see handlers/auth.js) or have the daemon issue them here.
+ */
+
+const express = require("express");
+const router = express.Router();
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+const { PERMISSIONS, issueToken, verifyToken } = require("../handlers/auth");
+
+/**
+ * POST /tokens
+ * Issues a token. The body is `{ instances: ["id"], permissions: ["console", "power"], ttl, sub }`,
+ * with `ttl` in seconds.
+ */
+router.post("/tokens", (req, res) => {
+  try {
+    res.status(201).json(issueToken(req.body || {}));
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ message: err.message, permissions: PERMISSIONS });
+    }
+    log.error("Error issuing token:", err);
+    res.status(500).json({ message: "Failed to issue token", error: err.message });
+  }
+});
+
+/**
+ * POST /tokens/verify
+ * Checks a token and returns its claims, to debug tokens signed by a panel.
+ */
+router.post("/tokens/verify", (req, res) => {
+  try {
+    res.json({ valid: true, claims: verifyToken((req.body || {}).token) });
+  } catch (err) {
+    res.json({ valid: false, message: err.message });
+  }
+});
+
+module.exports = router;
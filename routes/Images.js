@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Routes for the local image cache. The panel uses these to see which images take
+ * up space on the node, to pull an image before it is deployed and to remove unused images.
+ */
+
+const express = require("express");
+const router = express.Router();
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+const { pullImage } = require("../handlers/seed");
+const { listImages, pruneImages, getDiskUsage } = require("../handlers/images");
+
+/**
+ * GET /
+ * Lists the local images with their size and the instances that use them, along with the disk
+ * usage of the Docker root directory.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const [images, disk] = await Promise.all([listImages(), getDiskUsage()]);
+    res.json({
+      images,
+      totalSize: images.reduce((total, image) => total + image.size, 0),
+      disk,
+    });
+  } catch (err) {
+    log.error("Error listing images:", err);
+    res.status(500).json({ message: "Failed to list images", error: err.message });
+  }
+});
+
+/**
+ * POST /pull
+ * Pulls an image ahead of a deployment. The body is `{ Image, RegistryAuth? }`, where
+ * `RegistryAuth` overrides the credentials configured for the image's registry.
+ */
+router.post("/pull", async (req, res) => {
+  const { Image, RegistryAuth } = req.body;
+
+  if (!Image) {
+    return res.status(400).json({ message: "Image is required" });
+  }
+
+  try {
+    await pullImage(Image, undefined, RegistryAuth);
+    res.json({ message: `Image ${Image} pulled successfully`, image: Image });
+  } catch (err) {
+    log.error(`Error pulling image ${Image}:`, err.message);
+    res.status(500).json({ message: "Failed to pull image", error: err.message });
+  }
+});
+
+/**
+ * POST /prune
+ * Removes images that no instance uses. Pass `{ dryRun: true }` to only list them.
+ */
+router.post("/prune", async (req, res) => {
+  try {
+    const result = await pruneImages({ dryRun: Boolean(req.body && req.body.dryRun) });
+    res.json(result);
+  } catch (err) {
+    log.error("Error pruning images:", err);
+    res.status(500).json({ message: "Failed to prune images", error: err.message });
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,16 @@ const fs = require('fs/promises');
 const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
+const { releasePorts, clearAllocations } = require('../handlers/ports');
+const { removeNetworkIfUnused } = require('../handlers/network');
+const { deleteInstanceSettings } = require('../handlers/instances');
+const { expectStop } = require('../handlers/watchdog');
+const { deleteSchedules } = require('../handlers/scheduler');
+const { deleteLogs } = require('../handlers/consoleLogs');
+const { getMetrics, deleteMetrics } = require('../handlers/metrics');
+const { finishDeployment } = require('../handlers/deployer');
+const { requireAdmin, requireScope } = require('../handlers/auth');
+const { syncState } = require('../handlers/state');
 
 const docker = new Docker({ socketPath: process.env.dockerSocket || '/var/run/docker.sock' });
 const execPromise = util.promisify(exec);
@@ -19,7 +29,7 @@ const execPromise = util.promisify(exec);
  * GET /
  * Retrieves a list of all Docker containers on the host with comprehensive error handling.
  */
-router.get('/', async (req, res) => {
+router.get('/', requireAdmin, async (req, res) => {
   try {
     const containers = await docker.listContainers({ all: true });
     res.json(containers);
@@ -36,7 +46,7 @@ router.get('/', async (req, res) => {
  * GET /:id
  * Fetches detailed information about a specific Docker container with proper validation.
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('console'), async (req, res) => {
   if (!req.params.id) {
     return res.status(400).json({ error: 'Container ID is required' });
   }
@@ -58,7 +68,7 @@ router.get('/:id', async (req, res) => {
  * GET /:id/ports
  * Lists all ports for a specific Docker container with proper error handling.
  */
-router.get('/:id/ports', async (req, res) => {
+router.get('/:id/ports', requireScope('console'), async (req, res) => {
   if (!req.params.id) {
     return res.status(400).json({ message: 'Container ID is required' });
   }
@@ -86,18 +96,28 @@ router.get('/:id/ports', async (req, res) => {
  * DELETE /:id
  * Deletes a specific Docker container and its associated volumes.
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAdmin, async (req, res) => {
   if (!req.params.id) {
     return res.status(400).json({ message: 'Container ID is required' });
   }
 
   try {
     const container = docker.getContainer(req.params.id);
-    const { Name } = await container.inspect();
+    const { Name, HostConfig } = await container.inspect();
     const nameWithoutSlash = Name.startsWith('/') ? Name.slice(1) : Name;
 
     // Remove container first
+    expectStop(nameWithoutSlash);
     await container.remove({ force: true });
+    await releasePorts(nameWithoutSlash);
+    await removeNetworkIfUnused(HostConfig.NetworkMode);
+    await deleteInstanceSettings(nameWithoutSlash);
+    await deleteSchedules(nameWithoutSlash);
+    await deleteLogs(nameWithoutSlash);
+    await deleteMetrics(nameWithoutSlash);
+    await finishDeployment(nameWithoutSlash);
+    // Containers the daemon does not track have no state to record this in
+    await syncState(nameWithoutSlash, 'DELETED', { reason: 'Container removed' });
     
     // Then clean up volumes
     const volumeDir = path.join(__dirname, '../volumes', nameWithoutSlash);
@@ -113,6 +133,9 @@ router.delete('/:id', async (req, res) => {
       message: `Container ${req.params.id} and its volumes were deleted`
     });
   } catch (err) {
+    if (err.statusCode === 404) {
+      return res.status(404).json({ message: 'Container not found' });
+    }
     console.error(`Error deleting container ${req.params.id}:`, err);
     res.status(500).json({ 
       message: 'Failed to delete container',
@@ -125,7 +148,7 @@ router.delete('/:id', async (req, res) => {
  * POST /purge/all
  * Purges all Docker containers and their associated volumes with comprehensive cleanup.
  */
-router.post('/purge/all', async (req, res) => {
+router.post('/purge/all', requireAdmin, async (req, res) => {
   try {
     const containers = await docker.listContainers({ all: true });
     const deletionResults = [];
@@ -133,10 +156,17 @@ router.post('/purge/all', async (req, res) => {
     for (const containerInfo of containers) {
       try {
         const container = docker.getContainer(containerInfo.Id);
-        const { Name } = await container.inspect();
+        const { Name, HostConfig } = await container.inspect();
         const nameWithoutSlash = Name.startsWith('/') ? Name.slice(1) : Name;
         
+        expectStop(nameWithoutSlash);
         await container.remove({ force: true });
+        await removeNetworkIfUnused(HostConfig.NetworkMode);
+        await deleteInstanceSettings(nameWithoutSlash);
+        await deleteSchedules(nameWithoutSlash);
+        await deleteLogs(nameWithoutSlash);
+        await deleteMetrics(nameWithoutSlash);
+        await finishDeployment(nameWithoutSlash);
         deletionResults.push({
           id: containerInfo.Id,
           name: nameWithoutSlash,
@@ -163,6 +193,8 @@ router.post('/purge/all', async (req, res) => {
       }
     }
 
+    await clearAllocations();
+
     // Clean up any remaining volume directories
     const volumesBaseDir = path.join(__dirname, '../volumes');
     try {
@@ -200,7 +232,7 @@ router.post('/purge/all', async (req, res) => {
  * GET /:id/disk/usage
  * Gets disk usage information for a container's volumes with proper validation.
  */
-router.get('/:id/disk/usage', async (req, res) => {
+router.get('/:id/disk/usage', requireScope('files'), async (req, res) => {
   const id = req.params.id;
   if (!id) {
     return res.status(400).json({ error: 'Container ID is required' });
@@ -234,4 +266,29 @@ router.get('/:id/disk/usage', async (req, res) => {
   }
 });
 
+/**
+ * GET /:id/metrics
+ * Returns the resource usage recorded for an instance while it was running, oldest first.
+ *
+ * @param {string} [from] - Query parameter. The start of the range, as an ISO date or a timestamp.
+ * @param {string} [to] - Query parameter. The end of the range (default now).
+ * @param {string} [resolution] - Query parameter. "1m" (default) or "1h".
+ */
+router.get('/:id/metrics', requireScope('console'), async (req, res) => {
+  const { from, to, resolution } = req.query;
+
+  try {
+    res.json(await getMetrics(req.params.id, { from, to, resolution }));
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error(`Error reading metrics of ${req.params.id}:`, err);
+    res.status(500).json({
+      message: 'Failed to read metrics',
+      error: err.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
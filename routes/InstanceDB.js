@@ -2,6 +2,7 @@ const mysql = require('mysql2/promise');
 const config = require('../config.json');
 const logger = require('cat-loggr');
 const crypto = require('crypto');
+const { getConfigSecret } = require('../handlers/secrets');
 
 const log = new logger();
 
@@ -28,7 +29,7 @@ async function createDatabaseAndUser(dbName) {
         connection = await mysql.createConnection({
             host: config.mysql.host,
             user: config.mysql.user,
-            password: config.mysql.password,
+            password: getConfigSecret('mysql.password'),
         });
 
         log.info('Connected to the MySQL server.');
@@ -1,8 +1,13 @@
 const ftpd = require('ftpd');
-const fs = require('fs').promises;
+const fsModule = require('fs');
+const fs = fsModule.promises;
 const path = require('path');
 const config = require('../config.json');
 const logger = require('cat-loggr');
+const { isFtpsEnabled, getCredentials } = require('../handlers/tls');
+const { recordAudit } = require('../handlers/audit');
+const { getLockout, recordFailure, recordSuccess } = require('../handlers/ratelimit');
+const { protectSecret, decryptSecret, registerSecret } = require('../handlers/secrets');
 
 const log = new logger();
 
@@ -42,9 +47,10 @@ const generatePassword = (dirName) => {
   return finalPassword.replace(/[24557]/g, replaceWithSpecialChar);
 };
 
+// The password is stored encrypted when the node has a secret key
 const createUserData = (username, password, dir) => ({
   username,
-  password,
+  password: protectSecret(password),
   host: options.host,
   port: options.port,
   root: path.join(volumesDir, dir),
@@ -52,6 +58,40 @@ const createUserData = (username, password, dir) => ({
 
 const users = {};
 
+/**
+ * Returns the file system module of an FTP session, which records deletions, new folders and
+ * renames in the audit log. Uploads are recorded from the `file:stor` events.
+ */
+const auditedFs = (username, ip) => {
+  const audited = Object.create(fsModule);
+  const audit = (action, target, err) => recordAudit({
+    actor: `ftp:${username}`,
+    ip,
+    instance: username.replace(/^user-/, ''),
+    action,
+    outcome: err ? 'failure' : 'success',
+    details: { path: path.relative(users[username].root, target), ...(err && { error: err.message }) },
+  });
+
+  audited.unlink = (target, callback) => fsModule.unlink(target, (err) => {
+    audit('ftp:delete', target, err);
+    callback(err);
+  });
+  audited.rmdir = (target, callback) => fsModule.rmdir(target, (err) => {
+    audit('ftp:rmdir', target, err);
+    callback(err);
+  });
+  audited.mkdir = (target, mode, callback) => fsModule.mkdir(target, mode, (err) => {
+    audit('ftp:mkdir', target, err);
+    callback(err);
+  });
+  audited.rename = (from, to, callback) => fsModule.rename(from, to, (err) => {
+    audit(`ftp:rename ${path.relative(users[username].root, from)}`, to, err);
+    callback(err);
+  });
+  return audited;
+};
+
 const createNewVolume = async (dir) => {
   const username = `user-${dir}`;
   const userFile = path.join(dataContainerDir, `${username}.json`);
@@ -64,7 +104,8 @@ const createNewVolume = async (dir) => {
 
     await fs.writeFile(userFile, JSON.stringify(userData, null, 2));
     users[username] = { password, root: userData.root };
-    log.info(`Created new user ${username} with password: ${password}`);
+    registerSecret(password);
+    log.info(`Created new user ${username}`);
   }
 };
 
@@ -89,15 +130,25 @@ const initializeUsers = async () => {
     let userData;
     try {
       userData = JSON.parse(await fs.readFile(userFile, 'utf8'));
-      users[username] = { password: userData.password, root: userData.root };
-      log.info(`User ${username} loaded with password: ${userData.password}`);
     } catch (err) {
       console.error(`Error reading or parsing ${userFile}: ${err.message}`);
       const password = generatePassword(dir);
       userData = createUserData(username, password, dir);
       await fs.writeFile(userFile, JSON.stringify(userData, null, 2));
       users[username] = { password, root: userData.root };
-      log.info(`User ${username} created with password: ${password}`);
+      registerSecret(password);
+      log.info(`User ${username} created`);
+      return;
+    }
+
+    // A password that cannot be decrypted is kept as it is, since the key may just be missing
+    try {
+      const password = decryptSecret(userData.password);
+      users[username] = { password, root: userData.root };
+      registerSecret(password);
+      log.info(`User ${username} loaded`);
+    } catch (err) {
+      log.error(`Cannot decrypt the password of ${username}: ${err.message}`);
     }
   }));
 
@@ -120,20 +171,38 @@ const createServer = () => {
     useWriteFile: false,
     useReadFile: false,
     uploadMaxSlurpSize: 7000,
-    allowedCommands: ['XMKD', 'AUTH', 'TLS', 'SSL', 'USER', 'PASS', 'PWD', 'OPTS', 'TYPE', 'PORT', 'PASV', 'LIST', 'CWD', 'MKD', 'SIZE', 'STOR', 'MDTM', 'DELE', 'QUIT', 'RMD'],
+    allowedCommands: ['XMKD', 'AUTH', 'TLS', 'SSL', 'PBSZ', 'PROT', 'USER', 'PASS', 'PWD', 'OPTS', 'TYPE', 'PORT', 'PASV', 'LIST', 'CWD', 'MKD', 'SIZE', 'STOR', 'MDTM', 'DELE', 'QUIT', 'RMD'],
   });
 
   server.on('error', (error) => log.error('FTP Server error:', error));
 
   server.on('client:connected', (connection) => {
     let currentUser = null;
+    const ip = connection.socket && connection.socket.remoteAddress;
+
+    connection.on('file:stor', (stage, info) => {
+      if (stage === 'open') return;
+      recordAudit({
+        actor: `ftp:${info.user}`,
+        ip,
+        instance: String(info.user).replace(/^user-/, ''),
+        action: 'ftp:upload',
+        outcome: stage === 'close' && !info.errorState ? 'success' : 'failure',
+        details: { path: info.file, bytes: info.bytesWritten },
+      });
+    });
 
     connection.on('command:user', (user, success, failure) => {
-      log.info(`User login attempt: ${user}`);
-      if (users[user]) {
+      log.info(`User login attempt: ${user} from ${ip}`);
+      if (getLockout({ service: 'ftp', ip, account: user })) {
+        log.warn(`Rejected login of ${user} from ${ip}: locked out`);
+        failure();
+      } else if (users[user]) {
         currentUser = user;
         success();
       } else {
+        // Unknown users count against the address only, so guessing names cannot lock out real ones
+        recordFailure({ service: 'ftp', ip });
         log.warn(`Failed login attempt: No such user ${user}`);
         failure();
       }
@@ -141,12 +210,17 @@ const createServer = () => {
 
     connection.on('command:pass', (pass, success, failure) => {
       if (currentUser) {
-        log.info(`Password attempt for user ${currentUser}: ${pass}`);
+        const attempt = { service: 'ftp', ip, account: currentUser };
         const user = users[currentUser];
-        if (user.password === pass) {
-          success(currentUser);
+        if (getLockout(attempt)) {
+          log.warn(`Rejected password for ${currentUser} from ${ip}: locked out`);
+          failure();
+        } else if (user.password === pass) {
+          recordSuccess(attempt);
+          success(currentUser, auditedFs(currentUser, ip));
         } else {
-          log.warn(`Failed login attempt for user ${currentUser}. Wrong password`);
+          recordFailure(attempt);
+          log.warn(`Failed login attempt for user ${currentUser} from ${ip}. Wrong password`);
           failure();
         }
       } else {
@@ -163,10 +237,15 @@ const start = async () => {
   await initializeUsers();
   watchVolumesDirectory();
 
+  // FTPS shares the certificate of the API; it is reloaded in place on SIGHUP
+  if (isFtpsEnabled()) {
+    options.tls = getCredentials();
+  }
+
   const server = createServer();
   server.debugging = 1;
   server.listen(options.port);
-  log.info(`FTP server started on port ${options.port}`);
+  log.info(`FTP server started on port ${options.port}${options.tls ? ' with FTPS' : ''}`);
 };
 
 module.exports = { start, createNewVolume };
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Routes for the login lockouts of the HTTP API, the WebSocket and the FTP server.
+ * Addresses and accounts are locked out for a while after too many failed logins.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { listLockouts, clearLockout } = require("../handlers/ratelimit");
+
+/**
+ * GET /
+ * Lists the active lockouts and the recent ones, newest first. Each lockout has its `key`
+ * ("ip:<address>" or "account:<service>:<name>"), `service`, `ip`, `attempts`, `lockedAt` and `until`.
+ */
+router.get("/", (req, res) => {
+  res.json(listLockouts());
+});
+
+/**
+ * DELETE /:key
+ * Lifts a lockout early, e.g. `DELETE /lockouts/ip:203.0.113.7`.
+ */
+router.delete("/:key", (req, res) => {
+  if (!clearLockout(req.params.key)) {
+    return res.status(404).json({ message: `${req.params.key} is not locked out` });
+  }
+  res.json({ message: "Lockout lifted" });
+});
+
+module.exports = router;
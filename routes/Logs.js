@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Routes for the console logs the daemon captures for each instance. The logs are
+ * kept across container recreations, so output leading up to a crash can be read afterwards.
+ */
+
+const express = require("express");
+const router = express.Router();
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+const { listLogFiles, readLogs, openLogStream } = require("../handlers/consoleLogs");
+const { requireScope } = require("../handlers/auth");
+
+router.param("id", requireScope("console"));
+
+/**
+ * GET /:id
+ * Lists the log files of an instance with their size, oldest first.
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    res.json({ files: await listLogFiles(req.params.id) });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    log.error("Error listing log files:", err);
+    res.status(500).json({ message: "Failed to list log files", error: err.message });
+  }
+});
+
+/**
+ * GET /:id/lines
+ * Pages through the console output of an instance, oldest first.
+ *
+ * @param {string} [from] - Query parameter. Only lines at or after this time.
+ * @param {string} [to] - Query parameter. Only lines at or before this time.
+ * @param {string} [after] - Query parameter. The `next` value of the previous page.
+ * @param {string} [search] - Query parameter. Only lines containing this text.
+ * @param {number} [limit] - Query parameter. Lines per page (default 500, max 5000).
+ */
+router.get("/:id/lines", async (req, res) => {
+  const { from, to, after, search, limit } = req.query;
+
+  try {
+    res.json(await readLogs(req.params.id, { from, to, after, search, limit }));
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    log.error("Error reading logs:", err);
+    res.status(500).json({ message: "Failed to read logs", error: err.message });
+  }
+});
+
+/**
+ * GET /:id/download
+ * Downloads the whole captured console output of an instance as a text file.
+ */
+router.get("/:id/download", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const stream = await openLogStream(id);
+    if (!stream) {
+      return res.status(404).json({ message: "No logs captured for this instance" });
+    }
+
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${id}-console.log"`);
+    stream.on("error", (err) => {
+      log.error(`Error streaming logs of ${id}:`, err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    log.error("Error downloading logs:", err);
+    res.status(500).json({ message: "Failed to download logs", error: err.message });
+  }
+});
+
+module.exports = router;
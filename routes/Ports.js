@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Routes for the host port allocation table. The panel uses these to find free
+ * ports on the node and to reserve or release them for an instance.
+ */
+
+const express = require("express");
+const router = express.Router();
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+const {
+  getRanges,
+  getAllocations,
+  getInstancePorts,
+  findFreePorts,
+  reservePorts,
+  releasePorts,
+} = require("../handlers/ports");
+
+// Most ports /free returns and /reserve picks at once
+const MAX_COUNT = 100;
+
+/**
+ * Parses a list of ports from a request body.
+ * @param {Array} ports - The ports as numbers or numeric strings.
+ * @returns {number[]|null} The ports, or null if the list is invalid.
+ */
+function parsePorts(ports) {
+  if (!Array.isArray(ports) || ports.length === 0) return null;
+  const parsed = ports.map(Number);
+  return parsed.every((port) => Number.isInteger(port) && port > 0 && port < 65536) ? parsed : null;
+}
+
+/**
+ * GET /
+ * Lists the configured port ranges and every allocation on the node.
+ * Pass `?instance=<id>` to only list the ports of one instance.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const allocations = await getAllocations();
+    const { instance } = req.query;
+    res.json({
+      ranges: getRanges().map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)),
+      allocations: instance ? allocations.filter((a) => a.instance === instance) : allocations,
+    });
+  } catch (err) {
+    log.error("Error listing port allocations:", err);
+    res.status(500).json({ message: "Failed to list port allocations", error: err.message });
+  }
+});
+
+/**
+ * GET /free
+ * Returns ports that are neither allocated nor in use on the host.
+ *
+ * @param {number} [count] - Query parameter. The number of ports to return (default 1, max 100).
+ */
+router.get("/free", async (req, res) => {
+  const count = Math.min(Math.max(parseInt(req.query.count, 10) || 1, 1), MAX_COUNT);
+
+  try {
+    const ports = await findFreePorts(count);
+    res.json({ ports });
+  } catch (err) {
+    log.error("Error finding free ports:", err);
+    res.status(500).json({ message: "Failed to find free ports", error: err.message });
+  }
+});
+
+/**
+ * POST /reserve
+ * Reserves ports for an instance. The body is `{ instance, ports: [25565] }` to reserve specific
+ * ports, or `{ instance, count: 2 }` to let the node pick free ones (at most 100).
+ */
+router.post("/reserve", async (req, res) => {
+  const { instance, count } = req.body;
+
+  if (!instance) {
+    return res.status(400).json({ message: "instance is required" });
+  }
+
+  try {
+    let ports = parsePorts(req.body.ports);
+    if (!ports) {
+      if (count === undefined) {
+        return res.status(400).json({ message: "Either ports or count is required" });
+      }
+      const wanted = Number(count);
+      if (!Number.isInteger(wanted) || wanted < 1 || wanted > MAX_COUNT) {
+        return res.status(400).json({ message: `count must be an integer between 1 and ${MAX_COUNT}` });
+      }
+      ports = await findFreePorts(wanted);
+      if (ports.length < wanted) {
+        return res.status(409).json({ message: "Not enough free ports on this node" });
+      }
+    }
+
+    await reservePorts(instance, ports);
+    res.json({ instance, reserved: ports, ports: await getInstancePorts(instance) });
+  } catch (err) {
+    if (err.statusCode === 409) {
+      return res.status(409).json({ message: err.message, conflicts: err.conflicts });
+    }
+    log.error("Error reserving ports:", err);
+    res.status(500).json({ message: "Failed to reserve ports", error: err.message });
+  }
+});
+
+/**
+ * POST /release
+ * Releases ports held by an instance. The body is `{ instance, ports? }`; every port of the
+ * instance is released when `ports` is omitted.
+ */
+router.post("/release", async (req, res) => {
+  const { instance } = req.body;
+
+  if (!instance) {
+    return res.status(400).json({ message: "instance is required" });
+  }
+
+  // A malformed list must not fall through to releasing every port of the instance
+  const ports = req.body.ports === undefined ? undefined : parsePorts(req.body.ports);
+  if (ports === null) {
+    return res.status(400).json({ message: "ports must be a non-empty list of port numbers" });
+  }
+
+  try {
+    const released = await releasePorts(instance, ports);
+    res.json({ instance, released });
+  } catch (err) {
+    log.error("Error releasing ports:", err);
+    res.status(500).json({ message: "Failed to release ports", error: err.message });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,8 @@ const router = express.Router();
 const Docker = require('dockerode');
 const { promisify } = require('util');
 const timeout = promisify(setTimeout);
+const { runPowerAction, runBulkPowerAction } = require('../handlers/power');
+const { requireAdmin, requireScope } = require('../handlers/auth');
 
 // Configure Docker connection with error handling for socket path
 const dockerSocketPath = process.env.dockerSocket || '/var/run/docker.sock';
@@ -31,17 +33,46 @@ async function containerExists(container) {
     }
 }
 
+/**
+ * POST /power/bulk
+ * Runs a power action on many instances, a few at a time, and reports the result of each.
+ * Instances are picked by `ids` or by a label `selector`, e.g. `{ "vortex.owner": "42" }`.
+ *
+ * Body: `{ action, ids | selector, concurrency, stagger }`, where `stagger` is the number of
+ * seconds between two starts for start and restart. Failures of single instances do not fail
+ * the request; see `results`.
+ *
+ * @param {Object} req - The HTTP request object
+ * @param {Object} res - The HTTP response object
+ * @returns {Response} JSON response with the per-instance results
+ */
+router.post('/power/bulk', requireAdmin, async (req, res) => {
+    try {
+        res.status(200).json(await runBulkPowerAction(req.body || {}));
+    } catch (err) {
+        if (err.statusCode === 400) {
+            return res.status(400).json({ error: 'Invalid request', details: err.message });
+        }
+        res.status(500).json({ error: 'Operation failed', details: err.message });
+    }
+});
+
 /**
  * POST /:id/:power
  * Manages the power state of a Docker container with robust error handling and validation.
  * 
  * Supported actions: start, stop, restart, pause, unpause, kill
+ *
+ * start, stop, restart and kill run like the WebSocket power events (see handlers/power.js): stop
+ * and restart follow the instance's stop policy (stop command, grace period, SIGTERM, SIGKILL)
+ * instead of the operation timeout, and instances over their disk quota are not started. The
+ * response of stop and restart includes `stoppedBy` and the stop `progress`.
  * 
  * @param {Object} req - The HTTP request object
  * @param {Object} res - The HTTP response object
  * @returns {Response} JSON response with operation result or error
  */
-router.post('/:id/:power', async (req, res) => {
+router.post('/:id/:power', requireScope('power'), async (req, res) => {
     const { id, power } = req.params;
     
     // Validate container ID
@@ -53,6 +84,7 @@ router.post('/:id/:power', async (req, res) => {
     }
 
     const container = docker.getContainer(id);
+    const stop = { progress: [] };
     
     try {
         // Check if container exists first
@@ -66,25 +98,18 @@ router.post('/:id/:power', async (req, res) => {
         // Validate and execute the power action with timeout
         switch (power) {
             case 'start':
-                await Promise.race([
-                    container.start(),
-                    timeout(OPERATION_TIMEOUT, 'Operation timed out')
-                ]);
-                break;
-                
             case 'stop':
-                await Promise.race([
-                    container.stop(),
-                    timeout(OPERATION_TIMEOUT, 'Operation timed out')
-                ]);
-                break;
-                
             case 'restart':
-                await Promise.race([
-                    container.restart({ t: 10 }), // 10 second timeout for graceful shutdown
-                    timeout(OPERATION_TIMEOUT, 'Operation timed out')
-                ]);
+            case 'kill': {
+                const { stoppedBy } = await runPowerAction(id, power, (event) => stop.progress.push(event));
+                if (power === 'stop' && stoppedBy === 'none') {
+                    const err = new Error('Container is not running');
+                    err.statusCode = 304;
+                    throw err;
+                }
+                if (power === 'stop' || power === 'restart') stop.stoppedBy = stoppedBy;
                 break;
+            }
                 
             case 'pause':
                 await Promise.race([
@@ -100,13 +125,6 @@ router.post('/:id/:power', async (req, res) => {
                 ]);
                 break;
                 
-            case 'kill':
-                await Promise.race([
-                    container.kill(),
-                    timeout(OPERATION_TIMEOUT, 'Operation timed out')
-                ]);
-                break;
-                
             default:
                 return res.status(400).json({ 
                     error: 'Invalid action',
@@ -118,7 +136,8 @@ router.post('/:id/:power', async (req, res) => {
         res.status(200).json({ 
             success: true,
             message: `Container ${power} operation completed successfully`,
-            containerId: id
+            containerId: id,
+            ...(stop.stoppedBy && stop)
         });
         
     } catch (err) {
@@ -131,6 +150,15 @@ router.post('/:id/:power', async (req, res) => {
             });
         }
         
+        // Instances over their disk quota are not started
+        if (err.statusCode === 507) {
+            return res.status(507).json({
+                error: 'Disk quota exceeded',
+                details: err.message,
+                containerId: id
+            });
+        }
+
         // Handle Docker-specific errors
         if (err.statusCode === 304) {
             return res.status(400).json({
@@ -144,7 +172,8 @@ router.post('/:id/:power', async (req, res) => {
         res.status(500).json({ 
             error: 'Operation failed',
             details: err.message,
-            containerId: id
+            containerId: id,
+            ...(stop.progress.length > 0 && { progress: stop.progress })
         });
     }
 });
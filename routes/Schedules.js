@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Routes for the scheduled tasks of an instance. A schedule runs an ordered list of
+ * tasks (power actions, console commands and backups) on a cron expression.
+ */
+
+const express = require("express");
+const router = express.Router();
+const CatLoggr = require("cat-loggr");
+const log = new CatLoggr();
+const {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runSchedule,
+  isScheduleRunning,
+} = require("../handlers/scheduler");
+
+/**
+ * Sends the response for a scheduler error.
+ * @param {Object} res - The HTTP response object.
+ * @param {Error} err - The error.
+ * @param {string} message - The message for unexpected errors.
+ */
+function sendError(res, err, message) {
+  if ([400, 404, 409].includes(err.statusCode)) {
+    return res.status(err.statusCode).json({ message: err.message });
+  }
+  log.error(`${message}:`, err);
+  res.status(500).json({ message, error: err.message });
+}
+
+/**
+ * GET /:id
+ * Lists the schedules of an instance.
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    res.json({ schedules: await listSchedules(req.params.id) });
+  } catch (err) {
+    sendError(res, err, "Failed to list schedules");
+  }
+});
+
+/**
+ * POST /:id
+ * Creates a schedule. The body is
+ * `{ name, cron: "0 4 * * *", tasks: [{ action, payload, delay, continueOnFailure }], enabled, onlyWhenRunning }`.
+ * For example, a warning five minutes before a nightly restart:
+ * `tasks: [{ action: "command", payload: "say Restarting in 5 minutes" }, { action: "power", payload: "restart", delay: 300 }]`.
+ */
+router.post("/:id", async (req, res) => {
+  try {
+    const schedule = await createSchedule(req.params.id, req.body);
+    res.status(201).json({ message: "Schedule created", schedule });
+  } catch (err) {
+    sendError(res, err, "Failed to create schedule");
+  }
+});
+
+/**
+ * GET /:id/:scheduleId
+ * Returns a schedule, including the result of its last run.
+ */
+router.get("/:id/:scheduleId", async (req, res) => {
+  try {
+    res.json({ schedule: await getSchedule(req.params.id, req.params.scheduleId) });
+  } catch (err) {
+    sendError(res, err, "Failed to get schedule");
+  }
+});
+
+/**
+ * PATCH /:id/:scheduleId
+ * Changes fields of a schedule. Fields left out of the body are kept.
+ */
+router.patch("/:id/:scheduleId", async (req, res) => {
+  try {
+    const schedule = await updateSchedule(req.params.id, req.params.scheduleId, req.body);
+    res.json({ message: "Schedule updated", schedule });
+  } catch (err) {
+    sendError(res, err, "Failed to update schedule");
+  }
+});
+
+/**
+ * DELETE /:id/:scheduleId
+ * Deletes a schedule.
+ */
+router.delete("/:id/:scheduleId", async (req, res) => {
+  try {
+    await deleteSchedule(req.params.id, req.params.scheduleId);
+    res.json({ message: "Schedule deleted" });
+  } catch (err) {
+    sendError(res, err, "Failed to delete schedule");
+  }
+});
+
+/**
+ * POST /:id/:scheduleId/run
+ * Runs a schedule now. The tasks run in the background, so the response is sent once the run
+ * has started; pass `?wait=true` to wait for the run to finish and get its result.
+ */
+router.post("/:id/:scheduleId/run", async (req, res) => {
+  const { id, scheduleId } = req.params;
+
+  try {
+    await getSchedule(id, scheduleId);
+    if (isScheduleRunning(scheduleId)) {
+      return res.status(409).json({ message: `Schedule ${scheduleId} is already running` });
+    }
+    const run = runSchedule(id, scheduleId);
+
+    if (req.query.wait === "true") {
+      return res.json({ message: "Schedule ran", result: await run });
+    }
+
+    run.catch((err) => log.error(`Schedule ${scheduleId} of ${id} failed:`, err.message));
+    res.status(202).json({ message: "Schedule started" });
+  } catch (err) {
+    sendError(res, err, "Failed to run schedule");
+  }
+});
+
+module.exports = router;
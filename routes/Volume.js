@@ -11,6 +11,10 @@ const path = require("path");
 const { pipeline } = require("stream");
 const { exec } = require("child_process");
 const plugin = require("@tailwindcss/forms");
+const { enforceQuota } = require("../handlers/quota");
+const { requireScope } = require("../handlers/auth");
+
+router.param("id", requireScope("files"));
 
 /**
  * Ensures the target path is within the specified base directory, preventing directory traversal attacks.
@@ -319,7 +323,7 @@ function unzipFile(file, fullPath, id) {
   });
 }
 
-router.post("/:id/files/unzip/:file", async (req, res) => {
+router.post("/:id/files/unzip/:file", enforceQuota, async (req, res) => {
   const { id, file } = req.params;
   const subPath = req.query.path || "";
   const volumePath = path.join(__dirname, "../volumes", id);
@@ -435,7 +439,7 @@ const maxFileSize = 100 * 1024 * 1024; // 100 MB in bytes
  * @param {string} id - The volume identifier.
  * @param {string} [path] - Optional. A subdirectory within the volume where files should be stored.
  */
-router.post("/:id/files/upload", upload.array("files"), async (req, res) => {
+router.post("/:id/files/upload", enforceQuota, upload.array("files"), async (req, res) => {
   const { id } = req.params;
   const volumePath = path.join(__dirname, "../volumes", id); // Path to volume storage
   const subPath = req.query.path || ""; // Subdirectory for file storage, if provided
@@ -474,6 +478,7 @@ router.post("/:id/files/upload", upload.array("files"), async (req, res) => {
 
 router.post(
   "/:id/files/plugin/:download_url/:plugin_name",
+  enforceQuota,
   async (req, res) => {
     const { id, download_url, plugin_name } = req.params;
     const volumePath = path.join(__dirname, "../volumes", id); // Path to volume storage
@@ -501,7 +506,7 @@ router.post(
  * @param {string} content - The new content to write to the file.
  * @returns {Response} JSON response indicating the result of the file update operation.
  */
-router.post("/:id/files/edit/:filename", async (req, res) => {
+router.post("/:id/files/edit/:filename", enforceQuota, async (req, res) => {
   const { id, filename } = req.params;
   const { content } = req.body;
   const volumePath = path.join(__dirname, "../volumes", id);
@@ -539,7 +544,7 @@ router.post("/:id/files/edit/:filename", async (req, res) => {
  * @param {string} content - The content to write to the file.
  * @returns {Response} JSON response indicating the result of the file creation operation.
  */
-router.post("/:id/files/create/:filename", async (req, res) => {
+router.post("/:id/files/create/:filename", enforceQuota, async (req, res) => {
   const { id, filename } = req.params;
   const { content } = req.body;
   const volumePath = path.join(__dirname, "../volumes", id);
@@ -570,7 +575,7 @@ router.post("/:id/files/create/:filename", async (req, res) => {
  * @param {string} foldername - The name of the folder to create.
  * @returns {Response} JSON response indicating the result of the folder creation operation.
  */
-router.post("/:id/folders/create/:foldername", async (req, res) => {
+router.post("/:id/folders/create/:foldername", enforceQuota, async (req, res) => {
   const { id, foldername } = req.params;
   const volumePath = path.join(__dirname, "../volumes", id);
   const subPath = req.query.path || "";
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { issueToken, verifyToken, authenticateSecret, hasScope, authenticate } = require("../handlers/auth.js");
+const { getConfigSecret } = require("../handlers/secrets.js");
+const { clearLockout } = require("../handlers/ratelimit.js");
+
+const claims = { instances: ["abc"], permissions: ["console", "power"], ttl: 60, sub: "42" };
+
+/**
+ * Runs Date.now at a shifted time while `fn` runs.
+ */
+function withClockShift(seconds, fn) {
+  const now = Date.now;
+  Date.now = () => now() + seconds * 1000;
+  try {
+    return fn();
+  } finally {
+    Date.now = now;
+  }
+}
+
+/**
+ * Runs the authenticate middleware on a fake request.
+ * @returns {Object} `next` (whether the request went through), `status` and `req`.
+ */
+function runAuthenticate(authorization, ip = "203.0.113.1") {
+  const req = { headers: { authorization }, ip, method: "GET", originalUrl: "/" };
+  const result = { next: false, status: null, req };
+  const res = {
+    set() {
+      return res;
+    },
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json() {
+      return res;
+    },
+  };
+  authenticate(req, res, () => {
+    result.next = true;
+  });
+  return result;
+}
+
+const basic = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}`;
+
+test("issued tokens verify with their claims", () => {
+  const { token, expiresAt } = issueToken(claims);
+  const verified = verifyToken(token);
+  assert.deepEqual(verified.instances, ["abc"]);
+  assert.deepEqual(verified.permissions, ["console", "power"]);
+  assert.equal(verified.sub, "42");
+  assert.equal(verified.exp - verified.iat, 60);
+  assert.equal(new Date(expiresAt).getTime(), verified.exp * 1000);
+});
+
+test("issueToken rejects invalid claims with a 400", () => {
+  assert.throws(() => issueToken({ ...claims, instances: [] }), { statusCode: 400 });
+  assert.throws(() => issueToken({ ...claims, permissions: ["root"] }), { statusCode: 400 });
+  assert.throws(() => issueToken({ ...claims, ttl: 0 }), { statusCode: 400 });
+  assert.throws(() => issueToken({ ...claims, ttl: 10 ** 9 }), { statusCode: 400 });
+});
+
+test("verifyToken rejects forged and malformed tokens", () => {
+  const { token } = issueToken(claims);
+  const [payload, signature] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ ...verifyToken(token), instances: ["other"] })).toString("base64url");
+
+  for (const bad of [`${forged}.${signature}`, `${payload}.x${signature}`, payload, `${token}.extra`, "", undefined]) {
+    assert.throws(() => verifyToken(bad), { statusCode: 401, message: "Invalid token" });
+  }
+});
+
+test("verifyToken rejects expired tokens", () => {
+  const { token } = issueToken(claims);
+  withClockShift(61, () => {
+    assert.throws(() => verifyToken(token), { statusCode: 401, message: "Token expired" });
+  });
+});
+
+test("hasScope checks the instance and the permission", () => {
+  const auth = authenticateSecret(issueToken(claims).token);
+  assert.equal(auth.admin, false);
+  assert.equal(hasScope(auth, "abc", "console"), true);
+  assert.equal(hasScope(auth, "abc", "files"), false);
+  assert.equal(hasScope(auth, "other", "console"), false);
+  assert.equal(hasScope(auth, undefined, "console"), false);
+  assert.equal(hasScope(null, "abc", "console"), false);
+
+  const admin = authenticateSecret(getConfigSecret("key"));
+  assert.equal(hasScope(admin, "anything", "shell"), true);
+});
+
+test("authenticate accepts the node key and bearer tokens", () => {
+  const admin = runAuthenticate(basic("Skyport", getConfigSecret("key")));
+  assert.equal(admin.next, true);
+  assert.equal(admin.req.auth.admin, true);
+
+  const bearer = runAuthenticate(`Bearer ${issueToken(claims).token}`);
+  assert.equal(bearer.next, true);
+  assert.equal(bearer.req.auth.admin, false);
+
+  assert.equal(runAuthenticate(undefined).status, 401);
+  assert.equal(runAuthenticate("Bearer nope").status, 401);
+});
+
+test("failed basic auth logins elsewhere do not lock the panel out", () => {
+  for (let i = 0; i < 30; i++) {
+    runAuthenticate(basic("Skyport", "wrong"), "203.0.113.66");
+  }
+  assert.equal(runAuthenticate(basic("Skyport", "wrong"), "203.0.113.66").status, 429);
+  assert.equal(runAuthenticate(basic("Skyport", getConfigSecret("key")), "203.0.113.2").next, true);
+  clearLockout("ip:203.0.113.66");
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, nextRun } = require("../handlers/cron.js");
+
+test("parseCron expands wildcards, ranges, steps and lists", () => {
+  const cron = parseCron("*/15 9-17 1,15 * 1-5");
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.equal(cron.months.size, 12);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.equal(cron.anyDay, false);
+});
+
+test("parseCron treats 7 as Sunday and accepts macros", () => {
+  assert.ok(parseCron("0 0 * * 7").weekdays.has(0));
+  assert.deepEqual(parseCron("@daily"), parseCron("0 0 * * *"));
+});
+
+test("parseCron rejects invalid expressions with a 400", () => {
+  for (const expression of ["* * * *", "60 * * * *", "* * 0 * *", "*/0 * * * *", "5-1 * * * *", "a * * * *", 5]) {
+    assert.throws(() => parseCron(expression), { statusCode: 400 }, String(expression));
+  }
+});
+
+test("nextRun finds the next matching minute", () => {
+  const after = new Date(2024, 0, 1, 10, 7, 30);
+  assert.deepEqual(nextRun("*/15 * * * *", after), new Date(2024, 0, 1, 10, 15));
+  assert.deepEqual(nextRun("0 9 * * *", after), new Date(2024, 0, 2, 9, 0));
+});
+
+test("nextRun is strictly after the given time", () => {
+  const after = new Date(2024, 0, 1, 10, 15);
+  assert.deepEqual(nextRun("15 10 * * *", after), new Date(2024, 0, 2, 10, 15));
+});
+
+test("nextRun matches either a restricted day of month or day of week", () => {
+  // 2024-01-01 is a Monday; the 10th comes before the next Sunday only with the day of month
+  const after = new Date(2024, 0, 1, 12, 0);
+  assert.deepEqual(nextRun("0 0 10 * 0", after), new Date(2024, 0, 7, 0, 0));
+  assert.deepEqual(nextRun("0 0 3 * 0", after), new Date(2024, 0, 3, 0, 0));
+});
+
+test("nextRun returns null for expressions that never match", () => {
+  assert.equal(nextRun("0 0 31 2 *", new Date(2024, 0, 1)), null);
+});
+
+test("nextRun gives up on expressions that never match without scanning every minute", () => {
+  const started = Date.now();
+  assert.equal(nextRun("0 0 30 2 *", new Date(2024, 0, 1)), null);
+  assert.ok(Date.now() - started < 200);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config.json");
+const {
+  getLockout,
+  recordFailure,
+  recordSuccess,
+  retryAfter,
+  listLockouts,
+  clearLockout,
+} = require("../handlers/ratelimit.js");
+
+const MAX_PER_ACCOUNT = config.ratelimit.maxAttempts;
+const MAX_PER_IP = config.ratelimit.maxAttemptsPerIp;
+
+test("an account is locked out after maxAttempts failures", () => {
+  const attempt = { service: "ftp", ip: "192.0.2.1", account: "user-a" };
+  for (let i = 1; i < MAX_PER_ACCOUNT; i++) {
+    assert.equal(recordFailure(attempt), null);
+  }
+  const lockout = recordFailure(attempt);
+  assert.equal(lockout.key, "account:ftp:user-a");
+  assert.equal(lockout.attempts, MAX_PER_ACCOUNT);
+  assert.ok(retryAfter(lockout) > 0);
+
+  // The account is locked out from every address
+  assert.equal(getLockout({ service: "ftp", ip: "192.0.2.99", account: "user-a" }).key, "account:ftp:user-a");
+  assert.equal(getLockout({ service: "ftp", ip: "192.0.2.99", account: "user-b" }), null);
+  assert.ok(listLockouts().active.some((active) => active.key === "account:ftp:user-a"));
+
+  assert.equal(clearLockout("account:ftp:user-a"), true);
+  assert.equal(getLockout(attempt), null);
+});
+
+test("an address is locked out after maxAttemptsPerIp failures", () => {
+  for (let i = 0; i < MAX_PER_IP; i++) {
+    recordFailure({ service: "http", ip: "::ffff:192.0.2.2" });
+  }
+  assert.equal(getLockout({ service: "websocket", ip: "192.0.2.2" }).key, "ip:192.0.2.2");
+  clearLockout("ip:192.0.2.2");
+});
+
+test("a successful login resets the failures of the account", () => {
+  const attempt = { service: "ftp", ip: "192.0.2.3", account: "user-c" };
+  for (let i = 1; i < MAX_PER_ACCOUNT; i++) recordFailure(attempt);
+  recordSuccess(attempt);
+  assert.equal(recordFailure(attempt), null);
+  assert.equal(getLockout(attempt), null);
+  clearLockout("account:ftp:user-c");
+  clearLockout("ip:192.0.2.3");
+});
+
+test("clearLockout reports whether the key was locked out", () => {
+  assert.equal(clearLockout("ip:198.51.100.1"), false);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The key is read once, so it is set before the module loads
+process.env.VORTEX_SECRET_KEY = "test passphrase";
+const {
+  REDACTED,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  protectSecret,
+  registerSecret,
+  redact,
+} = require("../handlers/secrets.js");
+
+test("encryptSecret and decryptSecret round-trip", () => {
+  for (const secret of ["hunter2", "", "ünïcødé 🔑", "a".repeat(10000)]) {
+    const stored = encryptSecret(secret);
+    assert.ok(isEncrypted(stored));
+    assert.ok(!stored.includes(secret) || secret === "");
+    assert.equal(decryptSecret(stored), secret);
+  }
+});
+
+test("encryptSecret uses a new IV every time", () => {
+  assert.notEqual(encryptSecret("same"), encryptSecret("same"));
+});
+
+test("decryptSecret returns plaintext values as they are", () => {
+  assert.equal(decryptSecret("not encrypted"), "not encrypted");
+  assert.equal(decryptSecret(undefined), undefined);
+});
+
+test("decryptSecret rejects tampered values", () => {
+  const stored = encryptSecret("hunter2");
+  const parts = stored.split(":");
+  const ciphertext = Buffer.from(parts[4], "base64");
+  ciphertext[0] ^= 1;
+  parts[4] = ciphertext.toString("base64");
+  assert.throws(() => decryptSecret(parts.join(":")));
+});
+
+test("protectSecret encrypts when a key is available", () => {
+  assert.equal(decryptSecret(protectSecret("hunter2")), "hunter2");
+});
+
+test("redact masks registered secrets only", () => {
+  registerSecret("s3cr3t-value");
+  registerSecret("short");
+  assert.equal(redact("password=s3cr3t-value and s3cr3t-value"), `password=${REDACTED} and ${REDACTED}`);
+  assert.equal(redact("short stays"), "short stays");
+});